@@ -19,6 +19,64 @@ program
   .version(pkg.version)
   .option('-p, --project <path>', 'Project root directory', process.cwd());
 
+// Repeatable options collect into an array
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+// Repeatable --agent key=value options. An empty value (key=) clears the override.
+function collectAgentOverrides(value, previous) {
+  const eq = value.indexOf('=');
+  const key = eq === -1 ? value : value.slice(0, eq);
+  return previous.concat([{ key: key.trim(), value: eq === -1 ? '' : value.slice(eq + 1).trim() }]);
+}
+
+function applyAgentOverrides(current, pairs) {
+  const overrides = Object.assign({}, current);
+  for (const { key, value } of pairs) {
+    if (value === '') delete overrides[key];
+    else overrides[key] = value;
+  }
+  return overrides;
+}
+
+// '' or undefined means no budget; anything else must parse as a number (validated in features)
+function parseBudget(value) {
+  if (value === undefined || value === '') return null;
+  return Number(value);
+}
+
+// Refuse to start a run that would fail on an agent: prints the missing prompt
+// files and template syntax errors and closes the DB. Returns true if there are none.
+// Plain prompt files that contain tags only get a warning.
+function checkProjectFiles(root, autoplay) {
+  const { missing, invalid, warnings } = autoplay.checkProject(autoplay.loadConfig(root));
+  for (const w of warnings) {
+    console.error(chalk.yellow('Warning: ' + w.path + ' (' + w.label + ') contains {{ tags but is not a template, so they are sent as written. ' +
+      'Rename it to *.tmpl.md to render them.'));
+  }
+  if (missing.length === 0 && invalid.length === 0) return true;
+  if (missing.length > 0) {
+    console.error(chalk.red('Missing required files:'));
+    for (const m of missing) console.error('  ' + m.label + ': ' + m.path);
+    console.error('\nProject root: ' + root);
+    console.error('Run init.sh again to restore the agent prompts, or point prompt.<role> at an existing file.');
+  }
+  if (invalid.length > 0) {
+    console.error(chalk.red((missing.length > 0 ? '\n' : '') + 'Prompt template errors:'));
+    for (const p of invalid) console.error('  ' + p.error + ' (' + p.label + ')');
+    console.error('\nFix the template, or write \\{{ for a literal "{{". Check it with framework prompt preview <feature-id>.');
+  }
+  db.close();
+  return false;
+}
+
+function printDependencyProblems(report) {
+  for (const line of features.describeDependencyProblems(report)) {
+    console.error('  ' + chalk.red('x') + ' ' + line);
+  }
+}
+
 // ── feature commands ──
 
 const feat = program.command('feature').description('Manage features');
@@ -79,18 +137,30 @@ feat.command('create')
   .option('--depends <ids>', 'Comma-separated dependency IDs', '')
   .option('--openspec <path>', 'OpenSpec reference path', '')
   .option('--compliance <ids>', 'Comma-separated principle IDs', '')
+  .option('--agent <key=value>', 'Agent override for this feature, e.g. model.review=<model> (repeatable)', collectAgentOverrides, [])
+  .option('--budget <usd>', 'Agent spend limit for this feature in USD')
   .action((opts) => {
     const root = resolveRoot(program.opts());
     db.open(root);
     const id = features.nextId(root);
-    const f = features.create(root, {
-      id,
-      category: opts.category,
-      description: opts.description,
-      depends_on: opts.depends ? opts.depends.split(',').map(s => s.trim()) : [],
-      openspec_reference: opts.openspec,
-      architecture_compliance: opts.compliance ? opts.compliance.split(',').map(s => s.trim()) : []
-    });
+    let f;
+    try {
+      f = features.create(root, {
+        id,
+        category: opts.category,
+        description: opts.description,
+        depends_on: opts.depends ? opts.depends.split(',').map(s => s.trim()) : [],
+        openspec_reference: opts.openspec,
+        architecture_compliance: opts.compliance ? opts.compliance.split(',').map(s => s.trim()) : [],
+        agent_overrides: applyAgentOverrides({}, opts.agent),
+        budget_usd: parseBudget(opts.budget)
+      });
+    } catch (err) {
+      if (err.code !== 'INVALID_FEATURE') throw err;
+      console.error(chalk.red(err.message));
+      db.close();
+      process.exit(1);
+    }
     console.log('Created ' + chalk.bold(f.id) + ': ' + f.description);
     db.close();
   });
@@ -100,6 +170,10 @@ feat.command('update <id>')
   .option('-s, --status <status>', 'New status')
   .option('--passes <bool>', 'Set passes (true/false)')
   .option('-n, --notes <text>', 'Update notes')
+  .option('--depends <ids>', 'Replace dependencies (comma-separated IDs, "" for none)')
+  .option('--agent <key=value>', 'Set an agent override, e.g. max_agent_turns.qa=80 (repeatable, key= to clear)', collectAgentOverrides, [])
+  .option('--budget <usd>', 'Agent spend limit in USD ("" to remove)')
+  .option('--force', 'Skip status transition checks')
   .action((id, opts) => {
     const root = resolveRoot(program.opts());
     db.open(root);
@@ -107,13 +181,81 @@ feat.command('update <id>')
     if (opts.status) fields.status = opts.status;
     if (opts.passes !== undefined) fields.passes = opts.passes === 'true';
     if (opts.notes) fields.notes = opts.notes;
-    const f = features.update(root, id, fields);
+    if (opts.depends !== undefined) fields.depends_on = opts.depends ? opts.depends.split(',').map(s => s.trim()) : [];
+    if (opts.budget !== undefined) fields.budget_usd = parseBudget(opts.budget);
+    if (opts.agent.length > 0) {
+      const current = features.get(root, id);
+      fields.agent_overrides = applyAgentOverrides(current ? current.agent_overrides : {}, opts.agent);
+    }
+    let f;
+    try {
+      f = features.update(root, id, fields, { force: opts.force });
+    } catch (err) {
+      if (err.code !== 'ILLEGAL_TRANSITION' && err.code !== 'INVALID_FEATURE') throw err;
+      console.error(chalk.red(err.message));
+      if (err.code === 'ILLEGAL_TRANSITION' && !opts.force) console.error(chalk.dim('Use --force to override.'));
+      db.close();
+      process.exit(1);
+    }
     if (!f) {
       console.error('Feature ' + id + ' not found.');
       process.exit(1);
     }
     console.log('Updated ' + chalk.bold(f.id) + ': status=' + f.status + ', passes=' + f.passes);
+    if (fields.status) {
+      const autoplay = require('../lib/autoplay');
+      autoplay.maybeSyncBack(f, autoplay.loadConfig(root));
+    }
+    db.close();
+  });
+
+feat.command('escalations')
+  .description('List features escalated to a human by autoplay')
+  .action(() => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const items = features.listEscalated(root);
+    if (items.length === 0) {
+      console.log('No escalated features.');
+      db.close();
+      return;
+    }
+    for (const s of items) {
+      const f = features.get(root, s.feature_id);
+      console.log('  ' + chalk.red('!') + ' ' + chalk.bold(s.feature_id) + ': ' + (f ? f.description + ' - ' + f.status : '(deleted)'));
+      console.log('      ' + chalk.dim(s.escalation_reason + ' (retries ' + s.retries + ', stalls ' + s.stalls + ', escalated ' + s.escalated_at + ')'));
+    }
+    console.log('\n  Reset one with: framework feature unescalate <id>');
+    db.close();
+  });
+
+feat.command('unescalate <id>')
+  .description('Clear escalation and reset retry/stall counters for a feature')
+  .action((id) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    if (!features.get(root, id)) {
+      console.error('Feature ' + id + ' not found.');
+      process.exit(1);
+    }
+    features.unescalate(root, id);
+    console.log('Unescalated ' + chalk.bold(id) + ': retry budget reset, autoplay will pick it up again.');
+    db.close();
+  });
+
+feat.command('validate')
+  .description('Check dependencies for cycles, self-dependencies and unknown IDs')
+  .action(() => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const report = features.validateDependencies(root);
     db.close();
+    if (report.ok) {
+      console.log(chalk.green('Dependencies OK.'));
+      return;
+    }
+    printDependencyProblems(report);
+    process.exit(1);
   });
 
 feat.command('export')
@@ -122,7 +264,10 @@ feat.command('export')
   .action((opts) => {
     const root = resolveRoot(program.opts());
     db.open(root);
+    const sync = require('../lib/sync');
     const exported = db.exportFeatures(root, opts.output);
+    // Writing the file `feature sync` merges with: both sides now agree
+    if (!opts.output || path.resolve(opts.output) === sync.filePath(root)) sync.snapshot(root);
     console.log('Exported ' + exported.length + ' features.');
     db.close();
   });
@@ -133,11 +278,108 @@ feat.command('import')
   .action((opts) => {
     const root = resolveRoot(program.opts());
     db.open(root);
-    const count = db.importFeatures(root, opts.input);
+    const schemas = require('../lib/schemas');
+    const input = opts.input || path.join(root, 'architecture', 'feature-requirements.json');
+    const result = schemas.checkFile(input, 'feature-requirements.json');
+    if (!result.ok) {
+      for (const line of schemas.formatErrors(path.relative(process.cwd(), input), result.errors)) console.error('  ' + chalk.red(line));
+      console.error(chalk.red('\nNothing imported: fix the errors above.'));
+      db.close();
+      process.exit(1);
+    }
+    let count;
+    try {
+      count = db.importFeatures(root, input);
+    } catch (err) {
+      if (err.code !== 'INVALID_FEATURE') throw err;
+      console.error(chalk.red(err.message));
+      console.error(chalk.red('\nNothing imported.'));
+      db.close();
+      process.exit(1);
+    }
+    const sync = require('../lib/sync');
+    if (path.resolve(input) === sync.filePath(root)) {
+      const ids = result.value.features.map(f => f.id);
+      sync.snapshot(root, features.list(root).filter(f => ids.includes(f.id)).map(sync.toRecord));
+    }
     console.log('Imported ' + count + ' features.');
     db.close();
   });
 
+feat.command('sync')
+  .description('Three-way merge of the DB and architecture/feature-requirements.json')
+  .option('--prefer <side>', 'Resolve conflicts in favour of db or file')
+  .option('--dry-run', 'Show what would change without writing either side')
+  .option('-w, --watch', 'Keep syncing whenever either side changes')
+  .option('--interval <ms>', 'Watch poll interval', '2000')
+  .action((opts) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const sync = require('../lib/sync');
+    const label = path.relative(process.cwd(), sync.filePath(root)) || sync.filePath(root);
+
+    const run = () => {
+      const result = sync.sync(root, { prefer: opts.prefer, dryRun: opts.dryRun });
+      if (!result.ok) {
+        console.error(chalk.red(result.error));
+        const schemas = require('../lib/schemas');
+        for (const line of schemas.formatErrors(label, result.errors || [])) console.error('  ' + chalk.red(line));
+        return result;
+      }
+      printSyncResult(result, label, opts.dryRun);
+      return result;
+    };
+
+    if (!opts.watch) {
+      const result = run();
+      db.close();
+      if (!result.ok || result.failed.length > 0 || result.conflicts.some(c => !c.resolved)) process.exit(1);
+      return;
+    }
+
+    const interval = parseInt(opts.interval, 10) || 2000;
+    console.log(chalk.dim('Watching the DB and ' + label + ' (every ' + interval + 'ms, Ctrl+C to stop)'));
+    let last = null;
+    const tick = () => {
+      const before = sync.fingerprint(root);
+      if (before === last) return;
+      console.log(chalk.dim('\n' + new Date().toLocaleTimeString()));
+      run();
+      last = sync.fingerprint(root);
+    };
+    tick();
+    const timer = setInterval(tick, interval);
+    process.on('SIGINT', () => {
+      clearInterval(timer);
+      db.close();
+      process.exit(0);
+    });
+  });
+
+function printSyncResult(result, label, dryRun) {
+  const verb = dryRun ? 'Would update ' : 'Updated ';
+  const describe = (changes) => changes.map(c => c.id + (c.change === 'updated' ? '' : ' (' + c.change + ')')).join(', ');
+  if (result.toDb.length > 0) console.log(verb + 'DB: ' + describe(result.toDb));
+  if (result.toFile.length > 0) console.log(verb + label + ': ' + describe(result.toFile));
+  for (const f of result.failed) console.error(chalk.red('  ' + f.id + ' left as is, the DB refused the change: ' + f.message));
+
+  const open = result.conflicts.filter(c => !c.resolved);
+  for (const c of result.conflicts) {
+    const show = (v) => v === undefined ? '(no base)' : v === null ? '-' : JSON.stringify(v);
+    const line = c.field.startsWith('(')
+      ? c.id + ' ' + c.field + ', changed on the other side since the last sync'
+      : c.id + ' ' + c.field + ': db ' + show(c.db) + ', file ' + show(c.file) + ', last sync ' + show(c.base);
+    const where = ' [db updated ' + (c.dbUpdatedAt || '-') + ', file modified ' + c.fileModifiedAt + ']';
+    if (c.resolved) console.log(chalk.yellow('  conflict ' + line) + chalk.dim(' -> ' + c.resolved));
+    else console.log(chalk.red('  conflict ' + line) + chalk.dim(where));
+  }
+  if (open.length > 0) {
+    console.log(chalk.red(open.length + ' conflict(s) left as is.') + chalk.dim(' Resolve with --prefer db or --prefer file, or edit one side to match.'));
+  } else if (result.toDb.length + result.toFile.length + result.failed.length === 0) {
+    console.log(chalk.green('In sync.'));
+  }
+}
+
 // ── status command ──
 
 program.command('status')
@@ -172,6 +414,12 @@ program.command('status')
     const done = counts.complete || 0;
     console.log('\n  ' + done + '/' + total + ' complete');
 
+    const report = features.validateDependencies(root);
+    if (!report.ok) {
+      console.log('\n  ' + chalk.red('Dependency problems:'));
+      for (const line of features.describeDependencyProblems(report)) console.log('    ' + line);
+    }
+
     if (total > 0) {
       console.log('\n  By status:');
       for (const [s, c] of Object.entries(counts).sort()) {
@@ -190,6 +438,7 @@ program.command('guided')
     const root = resolveRoot(program.opts());
     db.open(root);
     const autoplay = require('../lib/autoplay');
+    if (!checkProjectFiles(root, autoplay)) process.exit(1);
     autoplay.runGuidedMode(root);
     db.close();
   });
@@ -200,6 +449,11 @@ program.command('autoplay')
   .description('Run the full pipeline autonomously')
   .option('--mode <mode>', 'Execution mode: team or orchestrator (default: from config)')
   .option('--auto-merge', 'Auto-merge PRs (default: safe mode, stop at PR)')
+  .option('--parallel <n>', 'Orchestrator mode: run up to N independent features at once in git worktrees')
+  .option('--budget <usd>', 'Stop spawning agents once this run has cost this much (default: budget_usd_per_run)')
+  .option('--model <model>', 'Orchestrator mode: model for every agent this run, over config and feature overrides')
+  .option('--max-turns <n>', 'Orchestrator mode: max turns per agent session this run')
+  .option('--watch-openspec', 'Orchestrator mode: import OpenSpec changes as they are written during the run')
   .action(async (opts) => {
     const root = resolveRoot(program.opts());
     db.open(root);
@@ -207,6 +461,44 @@ program.command('autoplay')
     const config = autoplay.loadConfig(root);
     const mode = opts.mode || config.executionMode;
 
+    const report = features.validateDependencies(root);
+    if (!report.ok) {
+      console.error(chalk.red('Refusing to start: the dependency graph has problems.'));
+      printDependencyProblems(report);
+      console.error('\nFix them with framework feature update <id> --depends <ids>, then run framework feature validate.');
+      db.close();
+      process.exit(1);
+    }
+
+    if (!checkProjectFiles(root, autoplay)) process.exit(1);
+
+    const runnerProblem = mode === 'orchestrator' ? require('../lib/runners').check(config) : null;
+    if (runnerProblem) {
+      console.error(chalk.red(runnerProblem));
+      db.close();
+      process.exit(1);
+    }
+
+    if (opts.parallel && mode !== 'orchestrator') {
+      console.error(chalk.red('--parallel needs orchestrator mode (--mode orchestrator).'));
+      db.close();
+      process.exit(1);
+    }
+
+    const parallel = opts.parallel !== undefined ? Number(opts.parallel) : undefined;
+    if (parallel !== undefined && !(Number.isInteger(parallel) && parallel > 0)) {
+      console.error(chalk.red('--parallel must be a positive whole number, got "' + opts.parallel + '".'));
+      db.close();
+      process.exit(1);
+    }
+
+    const budget = opts.budget !== undefined ? Number(opts.budget) : undefined;
+    if (budget !== undefined && !(budget > 0)) {
+      console.error(chalk.red('--budget must be a positive number of USD, got "' + opts.budget + '".'));
+      db.close();
+      process.exit(1);
+    }
+
     if (mode === 'team') {
       const result = autoplay.generateTeamInstructions(root, config);
       if (result.done) {
@@ -221,62 +513,516 @@ program.command('autoplay')
         const d = db.get(root);
         d.prepare("UPDATE config SET value = 'true' WHERE key = 'auto_merge'").run();
       }
-      await autoplay.runOrchestratorMode(root);
+      const runOpts = {
+        budgetUsd: budget,
+        model: opts.model,
+        maxTurns: opts.maxTurns !== undefined ? parseInt(opts.maxTurns, 10) || undefined : undefined,
+        watchOpenspec: opts.watchOpenspec
+      };
+      if (opts.parallel) {
+        await require('../lib/parallel').runParallelMode(root, parallel, runOpts);
+      } else {
+        await autoplay.runOrchestratorMode(root, runOpts);
+      }
     }
     db.close();
   });
 
-// ── architecture commands ──
+// ── session commands ──
 
-const arch = program.command('arch').description('Manage architecture files in DB');
+const sess = program.command('session').description('Agent session history');
 
-arch.command('import')
-  .description('Import architecture JSON files into DB')
-  .action(() => {
+sess.command('list')
+  .description('List recorded agent sessions')
+  .option('-f, --feature <id>', 'Filter by feature')
+  .option('-r, --role <role>', 'Filter by role (dev, review, qa, pr, merge)')
+  .option('-l, --limit <n>', 'Show only the most recent N sessions')
+  .action((opts) => {
     const root = resolveRoot(program.opts());
-    const d = db.open(root);
-    const archDir = path.join(root, 'architecture');
-    const files = {
-      principles: 'architecture-principles.json',
-      patterns: 'architecture-patterns.json',
-      standards: 'code-standards.json'
+    db.open(root);
+    const sessions = require('../lib/sessions');
+    const items = sessions.list(root, { featureId: opts.feature, role: opts.role, limit: opts.limit });
+
+    if (items.length === 0) {
+      console.log('No sessions recorded.');
+      db.close();
+      return;
+    }
+
+    const outcomeColor = {
+      APPROVED: chalk.green, PASSED: chalk.green, IMPLEMENTED: chalk.green, MERGED: chalk.green, PR_OPENED: chalk.green,
+      REJECTED: chalk.red, FAILED: chalk.red, ERROR: chalk.red, MERGE_FAILED: chalk.red,
+      STALLED: chalk.yellow
     };
-    let count = 0;
-    for (const [id, filename] of Object.entries(files)) {
-      const filePath = path.join(archDir, filename);
-      if (require('fs').existsSync(filePath)) {
-        const data = require('fs').readFileSync(filePath, 'utf8');
-        d.prepare('INSERT INTO architecture (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = ?, updated_at = datetime(\'now\')').run(id, data, data);
-        console.log('  Imported ' + chalk.bold(id) + ' from ' + filename);
-        count++;
+
+    for (const s of items) {
+      const color = outcomeColor[s.outcome] || (x => x);
+      const outcome = s.ended_at ? color(s.outcome || '-') : chalk.blue('RUNNING');
+      const transition = s.status_before + ' -> ' + (s.status_after || '?');
+      const duration = s.duration_seconds !== null ? formatDuration(s.duration_seconds) : '-';
+      const exit = s.exit_code !== null ? 'exit ' + s.exit_code : 'no exit code';
+      const cost = s.cost_usd !== null ? ', $' + s.cost_usd.toFixed(4) : '';
+      const tokens = s.input_tokens !== null ? ', ' + s.input_tokens + '/' + s.output_tokens + ' tokens' : '';
+      console.log('  #' + s.session_number + ' ' + chalk.dim(s.started_at) + ' ' + chalk.bold(s.feature_id || '-') +
+        ' ' + s.agent_role + ': ' + transition + ' ' + outcome + chalk.dim(' (' + exit + ', ' + duration + cost + tokens + ')'));
+      if (s.notes) console.log('      ' + chalk.dim(s.notes));
+      if (s.log_path) console.log('      ' + chalk.dim('transcript: framework session show ' + s.session_number));
+    }
+    console.log('\n  ' + items.length + ' session(s)');
+    db.close();
+  });
+
+sess.command('show <number>')
+  .description("Show a session's transcript")
+  .option('-g, --grep <pattern>', 'Only lines matching a pattern (case-insensitive regex), with line numbers')
+  .option('--head <n>', 'Only the first N lines')
+  .option('--tail <n>', 'Only the last N lines')
+  .option('--no-pager', 'Print instead of opening $PAGER (less)')
+  .action((number, opts) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const sessions = require('../lib/sessions');
+    const s = sessions.getByNumber(root, parseInt(String(number).replace(/^#/, ''), 10));
+    if (!s) {
+      console.error(chalk.red('Session #' + number + ' not found.'));
+      db.close();
+      process.exit(1);
+    }
+    const text = sessions.readLog(root, s);
+    db.close();
+
+    console.log(chalk.bold('Session #' + s.session_number) + ' ' + (s.feature_id || '-') + ' ' + s.agent_role +
+      chalk.dim(' (' + s.started_at + (s.ended_at ? ', ' + (s.outcome || 'ended') : ', running') + ')'));
+    if (text === null) {
+      console.log(chalk.dim(s.log_path ? 'Transcript ' + s.log_path + ' no longer exists.' : 'No transcript recorded for this session.'));
+      return;
+    }
+
+    let lines = text.replace(/\n$/, '').split('\n').map((line, i) => ({ n: i + 1, line }));
+    if (opts.grep) {
+      let pattern;
+      try {
+        pattern = new RegExp(opts.grep, 'i');
+      } catch (err) {
+        console.error(chalk.red('Invalid pattern: ' + err.message));
+        process.exit(1);
+      }
+      lines = lines.filter(l => pattern.test(l.line));
+    }
+    if (opts.head) lines = lines.slice(0, parseInt(opts.head, 10));
+    if (opts.tail) lines = lines.slice(-parseInt(opts.tail, 10));
+
+    const width = String(lines.length > 0 ? lines[lines.length - 1].n : 0).length;
+    const output = lines.map(l => opts.grep ? chalk.dim(String(l.n).padStart(width) + ': ') + l.line : l.line).join('\n') + '\n';
+    if (opts.pager && process.stdout.isTTY) {
+      const { spawnSync } = require('child_process');
+      const pager = process.env.PAGER || 'less -R';
+      const result = spawnSync('sh', ['-c', pager], { input: output, stdio: ['pipe', 'inherit', 'inherit'] });
+      if (!result.error) return;
+    }
+    process.stdout.write(output);
+  });
+
+function formatDuration(seconds) {
+  if (seconds < 60) return seconds + 's';
+  const m = Math.floor(seconds / 60);
+  if (m < 60) return m + 'm' + String(seconds % 60).padStart(2, '0') + 's';
+  return Math.floor(m / 60) + 'h' + String(m % 60).padStart(2, '0') + 'm';
+}
+
+// ── review commands ──
+
+const rev = program.command('review').description('Review and QA verdicts with findings');
+
+rev.command('add <featureId>')
+  .description('Record a review or QA verdict')
+  .requiredOption('-r, --role <role>', 'Reviewer role (review, qa)')
+  .option('-v, --verdict <verdict>', 'approved or rejected')
+  .option('--principle <id=result>', 'Result for one architecture_compliance principle, e.g. P2=fail (repeatable)', collect, [])
+  .option('--finding <text>', 'Finding as "[P2] src/db.js:42: message"; principle and location optional (repeatable)', collect, [])
+  .option('-s, --summary <text>', 'One-paragraph summary')
+  .option('--json <file>', 'Read verdict, principles, findings and summary from a JSON file ("-" for stdin)')
+  .action((featureId, opts) => {
+    const fs = require('fs');
+    const root = resolveRoot(program.opts());
+    let input = {};
+    if (opts.json) {
+      try {
+        input = JSON.parse(fs.readFileSync(opts.json === '-' ? 0 : opts.json, 'utf8'));
+      } catch (err) {
+        console.error(chalk.red('Could not read review JSON: ' + err.message));
+        process.exit(1);
+      }
+    }
+
+    const principles = Object.assign({}, input.principles);
+    for (const pair of opts.principle) {
+      const [id, result] = pair.split('=').map(s => s.trim());
+      principles[id] = (result || '').toLowerCase();
+    }
+    const reviews = require('../lib/reviews');
+    const findings = (input.findings || []).concat(opts.finding.map(reviews.parseFinding));
+
+    db.open(root);
+    const result = reviews.add(root, {
+      featureId,
+      reviewer: opts.role,
+      verdict: opts.verdict || input.verdict,
+      principles,
+      findings,
+      summary: opts.summary || input.summary
+    });
+    db.close();
+    if (!result.ok) {
+      console.error(chalk.red(result.error));
+      process.exit(1);
+    }
+    const r = result.review;
+    console.log('Recorded review #' + r.id + ' for ' + chalk.bold(featureId) + ': ' + r.verdict +
+      ' (' + r.findings.length + ' finding(s))');
+  });
+
+rev.command('list')
+  .description('List recorded reviews and their findings')
+  .option('-f, --feature <id>', 'Filter by feature')
+  .option('-r, --role <role>', 'Filter by reviewer role (review, qa)')
+  .option('--open', 'Only open findings')
+  .action((opts) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const reviews = require('../lib/reviews');
+    const items = reviews.list(root, { featureId: opts.feature, reviewer: opts.role });
+    db.close();
+
+    if (items.length === 0) {
+      console.log('No reviews recorded.');
+      return;
+    }
+    for (const r of items) {
+      const findings = opts.open ? r.findings.filter(f => !f.resolved_at) : r.findings;
+      if (opts.open && findings.length === 0) continue;
+      const verdict = r.verdict === 'approved' ? chalk.green('APPROVED') : chalk.red('REJECTED');
+      const results = Object.keys(r.principles).map(id => id + ' ' + (r.principles[id] === 'pass' ? chalk.green('pass') : chalk.red('fail')));
+      console.log('  #' + r.id + ' ' + chalk.dim(r.created_at) + ' ' + chalk.bold(r.feature_id) + ' ' + r.reviewer + ': ' + verdict +
+        (results.length > 0 ? '  ' + results.join(', ') : ''));
+      if (r.summary) console.log('      ' + chalk.dim(r.summary));
+      for (const f of findings) {
+        const state = f.resolved_at ? chalk.dim(' (resolved)') : '';
+        console.log('      ' + chalk.yellow('finding #' + f.id) + ' ' + reviews.formatFinding(f) + state);
+      }
+    }
+  });
+
+rev.command('resolve <findingIds...>')
+  .description('Mark findings resolved by hand')
+  .action((findingIds) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const reviews = require('../lib/reviews');
+    const count = reviews.resolve(root, findingIds.map(id => parseInt(String(id).replace(/^#/, ''), 10)));
+    db.close();
+    console.log('Resolved ' + count + ' finding(s).');
+  });
+
+// ── progress commands ──
+
+const prog = program.command('progress').description('Progress log (claude-progress.txt)');
+
+prog.command('add [featureId]')
+  .description('Record a progress entry and append it to claude-progress.txt')
+  .requiredOption('-s, --summary <text>', 'What happened, in a sentence or two')
+  .option('-r, --role <role>', 'Who is reporting (dev, review, qa, lead, human); defaults to the running session\'s role')
+  .option('--done <text>', 'Something finished (repeatable)', collect, [])
+  .option('--next <text>', 'Something left to do (repeatable)', collect, [])
+  .option('--blocker <text>', 'Something in the way (repeatable)', collect, [])
+  .action((featureId, opts) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const progress = require('../lib/progress');
+    const autoplay = require('../lib/autoplay');
+    const result = progress.add(root, {
+      featureId,
+      role: opts.role,
+      summary: opts.summary,
+      done: opts.done,
+      next: opts.next,
+      blockers: opts.blocker
+    });
+    if (!result.ok) {
+      console.error(chalk.red(result.error));
+      db.close();
+      process.exit(1);
+    }
+    console.log('Recorded progress entry #' + result.entry.id + (featureId ? ' for ' + chalk.bold(featureId) : '') + '.');
+    autoplay.compactProgress(autoplay.loadConfig(root));
+    db.close();
+  });
+
+prog.command('show')
+  .description('List recorded progress entries')
+  .option('-f, --feature <id>', 'Filter by feature')
+  .option('-r, --role <role>', 'Filter by role')
+  .option('-l, --limit <n>', 'Show only the most recent N entries')
+  .option('--json', 'Output as JSON')
+  .action((opts) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const progress = require('../lib/progress');
+    const items = progress.list(root, { featureId: opts.feature, role: opts.role, limit: opts.limit });
+    const summary = opts.feature && features.get(root, opts.feature)
+      ? progress.featureSummary(root, features.get(root, opts.feature)) : null;
+    db.close();
+
+    if (opts.json) {
+      console.log(JSON.stringify(items, null, 2));
+      return;
+    }
+    if (summary) console.log(summary.replace(/^- /, '') + '\n');
+    if (items.length === 0) {
+      console.log('No progress entries recorded.');
+      return;
+    }
+    const labels = { done: chalk.green('done'), next: chalk.blue('next'), blockers: chalk.red('blocker') };
+    for (const e of items) {
+      const session = e.session_number ? ' session #' + e.session_number : '';
+      console.log('  #' + e.id + ' ' + chalk.dim(e.created_at) + ' ' + chalk.bold(e.feature_id || '-') + ' ' + e.role +
+        chalk.dim(session) + ': ' + e.summary);
+      for (const key of Object.keys(labels)) {
+        for (const item of e[key]) console.log('      ' + labels[key] + ' ' + item);
       }
     }
-    console.log(count + ' architecture files imported to DB.');
+    console.log('\n  ' + items.length + ' entry(s)');
+  });
+
+prog.command('compact')
+  .description('Summarise old sessions in claude-progress.txt now, whatever its length')
+  .option('-k, --keep <n>', 'Session blocks to keep verbatim (default: progress_keep_recent)')
+  .action((opts) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const progress = require('../lib/progress');
+    const autoplay = require('../lib/autoplay');
+    const config = autoplay.loadConfig(root);
+    const keepRecent = opts.keep !== undefined ? parseInt(opts.keep, 10) : config.progressKeepRecent;
+    const result = progress.compact(root, { keepRecent: keepRecent, force: true });
+    db.close();
+    if (!result) {
+      console.log('Nothing to compact: ' + keepRecent + ' or fewer session blocks in ' + path.basename(progress.filePath(root)) + '.');
+      return;
+    }
+    console.log('Progress compacted: ' + result.before + ' -> ' + result.after + ' lines');
+  });
+
+// ── prompt commands ──
+
+const prompt = program.command('prompt').description('Agent prompts');
+
+prompt.command('preview <featureId>')
+  .description('Print the prompt autoplay would give an agent for a feature')
+  .option('-r, --role <role>', 'Agent role (' + features.AGENT_ROLES.join(', ') + ')', 'dev')
+  .action((featureId, opts) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const autoplay = require('../lib/autoplay');
+    const f = features.get(root, featureId);
+    if (!f) {
+      console.error('Feature ' + featureId + ' not found.');
+      db.close();
+      process.exit(1);
+    }
+    if (!features.AGENT_ROLES.includes(opts.role)) {
+      console.error(chalk.red('Unknown role "' + opts.role + '". Valid: ' + features.AGENT_ROLES.join(', ')));
+      db.close();
+      process.exit(1);
+    }
+    const config = autoplay.loadConfig(root);
+    let rendered;
+    try {
+      rendered = autoplay.renderAgentPrompt(opts.role, f, config);
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      db.close();
+      process.exit(1);
+    }
+    db.close();
+
+    const text = rendered.text;
+    const context = rendered.context;
+    console.log(text);
+    // Summary on stderr so stdout can be piped or saved as the exact prompt
+    const s = autoplay.roleSettings(config, opts.role, f);
+    console.error(chalk.dim('\n--- ' + opts.role + ' prompt for ' + f.id + ': ' + text.length + ' chars (~' + Math.round(text.length / 4) + ' tokens), ' +
+      s.prompt + (rendered.templated ? ' (template)' : '') + ', model ' + s.model));
+    if (rendered.missing.length > 0) {
+      console.error(chalk.yellow('    template variables that rendered empty: ' + rendered.missing.join(', ')));
+    }
+    if (!context) {
+      console.error(chalk.yellow('No architecture in the DB, so none was inlined. Run: framework arch import'));
+      return;
+    }
+    console.error(chalk.dim('    principles: ' + (context.principles.join(', ') || '-') + '; patterns: ' + (context.patterns.join(', ') || '-') +
+      '; standards: ' + (context.standards.join(', ') || '-')));
+    if (context.unknown.length > 0) console.error(chalk.yellow('    unknown principle IDs: ' + context.unknown.join(', ')));
+    if (context.omitted.length > 0 || context.examplesOmitted) {
+      console.error(chalk.yellow('    over prompt_architecture_max_chars (' + config.promptArchitectureMaxChars + '), left out: ' +
+        [context.examplesOmitted ? 'principle examples' : ''].concat(context.omitted).filter(Boolean).join(', ')));
+    }
+  });
+
+// ── report commands ──
+
+const report = program.command('report').description('Usage reports');
+
+report.command('cost')
+  .description('Tokens, turns, time and cost of agent sessions')
+  .option('--by <group>', 'Group by feature, role or change', 'feature')
+  .action((opts) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const sessions = require('../lib/sessions');
+    const rows = sessions.costReport(root, { by: opts.by });
+    db.close();
+    if (!rows) {
+      console.error(chalk.red('Unknown grouping "' + opts.by + '". Use feature, role or change.'));
+      process.exit(1);
+    }
+    if (rows.length === 0) {
+      console.log('No sessions recorded.');
+      return;
+    }
+
+    const header = [opts.by, 'sessions', 'in tokens', 'out tokens', 'turns', 'time', 'cost'];
+    const lines = rows.map(r => [
+      r.key || '-',
+      String(r.sessions),
+      String(r.input_tokens),
+      String(r.output_tokens),
+      String(r.turns),
+      formatDuration(r.duration_seconds),
+      '$' + r.cost_usd.toFixed(4) + (r.budget_usd !== null ? ' / $' + r.budget_usd.toFixed(2) : '')
+    ]);
+    const total = rows.reduce((t, r) => t + r.cost_usd, 0);
+    const widths = header.map((h, i) => Math.max(h.length, ...lines.map(l => l[i].length)));
+    const format = cells => '  ' + cells.map((c, i) => i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i])).join('  ');
+
+    console.log(chalk.bold(format(header)));
+    for (let i = 0; i < lines.length; i++) {
+      const over = rows[i].budget_usd !== null && rows[i].cost_usd >= rows[i].budget_usd;
+      console.log(over ? chalk.red(format(lines[i])) : format(lines[i]));
+    }
+    console.log('\n  Total: $' + total.toFixed(4));
+  });
+
+// ── architecture commands ──
+
+const arch = program.command('arch').description('Manage architecture files in DB');
+
+arch.command('import')
+  .description('Validate architecture JSON files and import them into DB')
+  .option('--force', 'Import files that fail schema validation (invalid JSON is never imported)')
+  .action((opts) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const architecture = require('../lib/architecture');
+    const result = architecture.importFiles(root, { force: opts.force });
     db.close();
+    for (const line of result.problems) console.error('  ' + chalk.red(line));
+    if (result.problems.length > 0 && !opts.force) {
+      console.error(chalk.red('\nNothing imported: fix the errors above, or use --force.'));
+      process.exit(1);
+    }
+    for (const { id, file } of result.imported) console.log('  Imported ' + chalk.bold(id) + ' from ' + file);
+    console.log(result.imported.length + ' architecture files imported to DB.');
   });
 
 arch.command('export')
   .description('Export architecture from DB to JSON files')
   .action(() => {
     const root = resolveRoot(program.opts());
-    const d = db.open(root);
-    const archDir = path.join(root, 'architecture');
-    const mapping = {
-      principles: 'architecture-principles.json',
-      patterns: 'architecture-patterns.json',
-      standards: 'code-standards.json'
-    };
-    let count = 0;
-    for (const [id, filename] of Object.entries(mapping)) {
-      const row = d.prepare('SELECT data FROM architecture WHERE id = ?').get(id);
-      if (row) {
-        require('fs').writeFileSync(path.join(archDir, filename), row.data, 'utf8');
-        console.log('  Exported ' + chalk.bold(id) + ' to ' + filename);
-        count++;
-      }
+    db.open(root);
+    const architecture = require('../lib/architecture');
+    const exported = architecture.exportFiles(root);
+    for (const { id, file } of exported) console.log('  Exported ' + chalk.bold(id) + ' to ' + file);
+    console.log(exported.length + ' architecture files exported.');
+    db.close();
+  });
+
+arch.command('lint')
+  .description('Validate architecture files and cross-check principle IDs used by patterns, checked_by and features')
+  .action(() => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const architecture = require('../lib/architecture');
+    const { errors, warnings } = architecture.lint(root);
+    db.close();
+
+    for (const e of errors) console.log('  ' + chalk.red('error') + '   ' + e.location + ' ' + e.message);
+    for (const w of warnings) console.log('  ' + chalk.yellow('warning') + ' ' + w.location + ' ' + w.message);
+    if (errors.length === 0 && warnings.length === 0) {
+      console.log(chalk.green('Architecture files are valid and consistent.'));
+      return;
     }
-    console.log(count + ' architecture files exported.');
+    console.log('\n  ' + errors.length + ' error(s), ' + warnings.length + ' warning(s)');
+    if (errors.length > 0) process.exit(1);
+  });
+
+arch.command('report')
+  .description('Compliance matrix: features x principles, from recorded reviews')
+  .option('--json', 'Print the report as JSON')
+  .action((opts) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const architecture = require('../lib/architecture');
+    const report = architecture.complianceReport(root);
     db.close();
+
+    if (opts.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+    if (!report.imported) {
+      console.log(chalk.yellow('No principles in the DB. Run: framework arch import'));
+    }
+
+    // Columns: every known principle, then IDs only features reference
+    const columns = report.principles.map(p => p.id);
+    for (const ref of report.unknown_references) {
+      if (!columns.includes(ref.principle)) columns.push(ref.principle);
+    }
+    if (report.features.length === 0 || columns.length === 0) {
+      console.log('Nothing to report: no features or no principles.');
+      return;
+    }
+
+    const marks = { pass: chalk.green('pass'), fail: chalk.red('FAIL'), unchecked: chalk.yellow('?') };
+    const idWidth = Math.max(7, ...report.features.map(f => f.id.length));
+    const widths = columns.map(id => Math.max(id.length, 4));
+    const pad = (text, plain, width) => text + ' '.repeat(Math.max(0, width - plain.length));
+
+    console.log('  ' + pad('Feature', 'Feature', idWidth) + '  ' + columns.map((id, i) => {
+      const known = report.principles.some(p => p.id === id);
+      return pad(known ? chalk.bold(id) : chalk.red(id), id, widths[i]);
+    }).join('  '));
+    for (const f of report.features) {
+      const cells = columns.map((id, i) => {
+        const cell = f.cells[id];
+        return cell ? pad(marks[cell], cell === 'unchecked' ? '?' : cell, widths[i]) : pad(chalk.dim('-'), '-', widths[i]);
+      });
+      console.log(('  ' + pad(f.id, f.id, idWidth) + '  ' + cells.join('  ')).trimEnd());
+    }
+    console.log(chalk.dim('\n  pass / FAIL from the latest review and QA verdicts, ? = not checked yet, - = not referenced'));
+
+    if (report.unknown_references.length > 0) {
+      console.log('\n' + chalk.red('Unknown principle IDs:'));
+      for (const ref of report.unknown_references) console.log('  ' + ref.feature + ' references ' + ref.principle);
+    }
+    if (report.unchecked_mandatory.length > 0) {
+      console.log('\n' + chalk.yellow('Mandatory principles no feature was checked against:'));
+      for (const id of report.unchecked_mandatory) {
+        const p = report.principles.find(x => x.id === id);
+        console.log('  ' + id + (p.name ? ' (' + p.name + ')' : ''));
+      }
+    }
   });
 
 // ── dashboard command ──
@@ -284,10 +1030,12 @@ arch.command('export')
 program.command('dashboard')
   .description('Start the Kanban dashboard')
   .option('--port <port>', 'Port number', '3333')
+  .option('--watch-openspec', 'Import OpenSpec changes as they are written and show them live')
   .action((opts) => {
     const root = resolveRoot(program.opts());
     process.env.FRAMEWORK_PROJECT_ROOT = root;
     process.env.FRAMEWORK_PORT = opts.port;
+    if (opts.watchOpenspec) process.env.FRAMEWORK_OPENSPEC_WATCH = 'true';
     require('../dashboard/server');
   });
 
@@ -364,13 +1112,16 @@ ospec.command('status')
 ospec.command('import [change]')
   .description('Import OpenSpec change(s) as framework features')
   .option('--all', 'Import all active changes')
+  .option('--dry-run', 'Show what would change per feature without writing')
+  .option('--remove-orphans', 'Delete features whose task group is gone from tasks.md (default: escalate them)')
   .action((change, opts) => {
     const root = resolveRoot(program.opts());
     db.open(root);
     const openspec = require('../lib/openspec');
+    const importOpts = { dryRun: opts.dryRun, removeOrphans: opts.removeOrphans };
 
     if (opts.all) {
-      const result = openspec.importAll(root);
+      const result = openspec.importAll(root, importOpts);
       if (!result.ok) {
         console.error(chalk.red(result.error));
         db.close();
@@ -384,21 +1135,19 @@ ospec.command('import [change]')
       for (var i = 0; i < result.results.length; i++) {
         var r = result.results[i];
         if (r.result.ok) {
-          console.log(chalk.green('[OK]') + ' ' + r.change + ': ' + r.result.created.length + ' created, ' + r.result.updated.length + ' updated');
+          printImportResult(r.change, r.result);
         } else {
           console.log(chalk.red('[ERR]') + ' ' + r.change + ': ' + r.result.error);
         }
       }
     } else if (change) {
-      const result = openspec.importChange(change, root);
+      const result = openspec.importChange(change, root, importOpts);
       if (!result.ok) {
         console.error(chalk.red(result.error));
         db.close();
         process.exit(1);
       }
-      console.log('Imported ' + chalk.bold(change) + ': ' + result.created.length + ' created, ' + result.updated.length + ' updated (' + result.total + ' task groups)');
-      if (result.created.length > 0) console.log('  Created: ' + result.created.join(', '));
-      if (result.updated.length > 0) console.log('  Updated: ' + result.updated.join(', '));
+      printImportResult(change, result);
     } else {
       console.error('Specify a change name or use --all');
       process.exit(1);
@@ -406,6 +1155,86 @@ ospec.command('import [change]')
     db.close();
   });
 
+function printImportResult(change, result) {
+  if (result.dryRun) {
+    console.log('Would import ' + chalk.bold(change) + ' (' + result.total + ' task groups):');
+    for (const entry of result.plan) {
+      const title = 'group ' + entry.position + ' "' + entry.title + '"';
+      if (!entry.id) {
+        console.log('  ' + chalk.green('+ new') + '      ' + title);
+        continue;
+      }
+      const how = entry.match === 'content' ? chalk.dim(' (matched by tasks, renamed)') : '';
+      if (entry.changes.length === 0) {
+        console.log('  ' + chalk.dim('= ' + entry.id + ' ' + title + ' unchanged'));
+        continue;
+      }
+      console.log('  ' + chalk.yellow('~ ' + entry.id) + ' ' + title + how);
+      for (const c of entry.changes) {
+        for (const line of describeChange(c)) console.log('        ' + line);
+      }
+    }
+  } else {
+    console.log('Imported ' + chalk.bold(change) + ': ' + result.created.length + ' created, ' + result.updated.length + ' updated, ' +
+      result.unchanged.length + ' unchanged (' + result.total + ' task groups)');
+    if (result.created.length > 0) console.log('  Created: ' + result.created.join(', '));
+    if (result.updated.length > 0) console.log('  Updated: ' + result.updated.join(', '));
+    if (result.advanced.length > 0) console.log('  Moved forward by checked tasks: ' + result.advanced.join(', '));
+  }
+
+  const verbs = result.dryRun
+    ? { flagged: 'would be escalated', removed: 'would be deleted', complete: 'complete, left as is' }
+    : { flagged: 'escalated', removed: 'deleted', complete: 'complete, left as is', failed: 'not deleted' };
+  for (const o of result.orphans) {
+    console.log(chalk.red('  ! ' + o.id) + ' "' + o.description + '" is no longer in tasks.md: ' + verbs[o.action] + (o.error ? ' (' + o.error + ')' : ''));
+  }
+  if (result.unmapped.length > 0) {
+    console.log(chalk.yellow('  Requirements no task group references (not imported): ' + result.unmapped.join(', ')));
+  }
+}
+
+// One field change from an import plan as display lines: lists as added and
+// removed items, other values as "from -> to"
+function describeChange(change) {
+  const show = v => typeof v === 'string' ? v : JSON.stringify(v);
+  if (!Array.isArray(change.from) || !Array.isArray(change.to)) {
+    return [change.field + ': ' + show(change.from) + ' -> ' + show(change.to)];
+  }
+  const before = change.from.map(show);
+  const after = change.to.map(show);
+  const lines = [change.field + ':'];
+  for (const item of after) if (!before.includes(item)) lines.push(chalk.green('  + ' + item));
+  for (const item of before) if (!after.includes(item)) lines.push(chalk.red('  - ' + item));
+  if (lines.length === 1) lines[0] += ' reordered';
+  return lines;
+}
+
+ospec.command('watch')
+  .description('Re-import OpenSpec changes as they are written (new changes and edits to existing ones)')
+  .option('--interval <ms>', 'Poll interval', '1000')
+  .option('--debounce <ms>', 'Wait until a change has not been edited for this long', '2000')
+  .action((opts) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const openspec = require('../lib/openspec');
+
+    console.log(chalk.dim('Watching openspec/changes/ (Ctrl+C to stop)'));
+    const watcher = openspec.watchChanges(root, {
+      interval: parseInt(opts.interval, 10) || 1000,
+      debounceMs: parseInt(opts.debounce, 10) || 0,
+      onImport: (change, result) => {
+        console.log(chalk.dim('\n' + new Date().toLocaleTimeString()));
+        if (result.ok) printImportResult(change, result);
+        else console.log(chalk.red('[ERR]') + ' ' + change + ': ' + result.error);
+      }
+    });
+    process.on('SIGINT', () => {
+      watcher.stop();
+      db.close();
+      process.exit(0);
+    });
+  });
+
 ospec.command('archive <feature-id>')
   .description('Archive the OpenSpec change for a completed feature (if all siblings complete)')
   .action((featureId) => {
@@ -439,10 +1268,173 @@ ospec.command('archive <feature-id>')
     db.close();
   });
 
+ospec.command('sync-back [change]')
+  .description('Tick the tasks of complete features and annotate groups in progress in tasks.md (all changes if none given)')
+  .option('--dry-run', 'Show what would change without writing tasks.md')
+  .action((change, opts) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const openspec = require('../lib/openspec');
+    const syncOpts = { dryRun: opts.dryRun };
+
+    const result = change
+      ? { ok: true, results: [{ change: change, result: openspec.syncBack(change, root, syncOpts) }] }
+      : openspec.syncBackAll(root, syncOpts);
+    if (!result.ok) {
+      console.error(chalk.red(result.error));
+      db.close();
+      process.exit(1);
+    }
+    if (result.results.length === 0) console.log('No active changes with features.');
+    let failed = false;
+    for (const r of result.results) {
+      if (r.result.ok) {
+        printSyncBackResult(r.change, r.result);
+      } else {
+        console.log(chalk.red('[ERR]') + ' ' + r.change + ': ' + r.result.error);
+        failed = true;
+      }
+    }
+    db.close();
+    if (failed) process.exit(1);
+  });
+
+function printSyncBackResult(change, result) {
+  if (!result.changed) {
+    console.log(chalk.dim('= ' + change + ': ' + result.file + ' already up to date'));
+  } else {
+    console.log((result.dryRun ? 'Would update ' : 'Updated ') + chalk.bold(result.file) + ':');
+  }
+  for (const g of result.groups) {
+    const what = [];
+    if (g.ticked > 0) what.push(g.ticked + ' task' + (g.ticked === 1 ? '' : 's') + ' ticked');
+    if (g.annotated) what.push(g.status === 'pending' ? 'annotation removed' : 'annotated ' + g.status);
+    console.log('  ' + chalk.bold(g.id) + ' "' + g.title + '": ' + what.join(', '));
+  }
+  if (result.unmatched.length > 0) {
+    console.log(chalk.yellow('  No task group in tasks.md for: ' + result.unmatched.join(', ')));
+  }
+}
+
+// ── webhook commands ──
+
+const hook = program.command('webhook').description('Outbound webhooks for pipeline events');
+
+hook.command('add <url>')
+  .description('Register a webhook (all events unless --events is given)')
+  .option('-e, --events <events>', 'Comma-separated event names')
+  .option('-s, --secret <secret>', 'Sign payloads with HMAC-SHA256 using this secret')
+  .action((url, opts) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const webhooks = require('../lib/webhooks');
+    const result = webhooks.add(root, {
+      url: url,
+      events: opts.events ? opts.events.split(',').map(s => s.trim()) : [],
+      secret: opts.secret
+    });
+    db.close();
+    if (!result.ok) {
+      console.error(chalk.red(result.error));
+      process.exit(1);
+    }
+    console.log('Added webhook #' + result.webhook.id + ' for ' + result.webhook.events.join(', '));
+  });
+
+hook.command('list')
+  .description('List webhooks')
+  .action(() => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const webhooks = require('../lib/webhooks');
+    const items = webhooks.list(root);
+    if (items.length === 0) {
+      console.log('No webhooks. Events: ' + webhooks.EVENTS.join(', '));
+    }
+    for (const h of items) {
+      const state = h.enabled ? '' : chalk.dim(' (disabled)');
+      console.log('  #' + h.id + ' ' + chalk.bold(h.url) + state);
+      console.log('      ' + chalk.dim(h.events.join(', ') + (h.secret ? ', signed' : '')));
+    }
+    db.close();
+  });
+
+hook.command('remove <id>')
+  .description('Delete a webhook')
+  .action((id) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const webhooks = require('../lib/webhooks');
+    const removed = webhooks.remove(root, id);
+    db.close();
+    if (!removed) {
+      console.error('Webhook #' + id + ' not found.');
+      process.exit(1);
+    }
+    console.log('Removed webhook #' + id);
+  });
+
+for (const [name, enabled] of [['enable', true], ['disable', false]]) {
+  hook.command(name + ' <id>')
+    .description((enabled ? 'Resume' : 'Pause') + ' deliveries to a webhook')
+    .action((id) => {
+      const root = resolveRoot(program.opts());
+      db.open(root);
+      const webhooks = require('../lib/webhooks');
+      const found = webhooks.setEnabled(root, id, enabled);
+      db.close();
+      if (!found) {
+        console.error('Webhook #' + id + ' not found.');
+        process.exit(1);
+      }
+      console.log((enabled ? 'Enabled' : 'Disabled') + ' webhook #' + id);
+    });
+}
+
+hook.command('test [id]')
+  .description('Send a test event to one webhook, or all of them, and report the result')
+  .action(async (id) => {
+    const root = resolveRoot(program.opts());
+    db.open(root);
+    const webhooks = require('../lib/webhooks');
+    const pending = webhooks.test(root, id);
+    db.close();
+    const results = await pending;
+    if (results.length === 0) {
+      console.error(id ? 'Webhook #' + id + ' not found.' : 'No webhooks configured.');
+      process.exit(1);
+    }
+    for (const r of results) {
+      const mark = r.ok ? chalk.green('ok') : chalk.red('failed');
+      const detail = r.ok ? 'HTTP ' + r.status : r.error;
+      console.log('  #' + r.webhook + ' ' + r.url + ': ' + mark + ' (' + detail + ', ' + r.attempts + ' attempt(s))');
+    }
+    if (results.some(r => !r.ok)) process.exit(1);
+  });
+
 // ── config command ──
 
 const conf = program.command('config').description('Manage configuration');
 
+conf.command('list')
+  .description('Show all settings and the effective model, turn budget and prompt per agent role')
+  .action(() => {
+    const root = resolveRoot(program.opts());
+    const d = db.open(root);
+    const autoplay = require('../lib/autoplay');
+    const rows = d.prepare('SELECT key, value FROM config ORDER BY key').all();
+    const width = Math.max(...rows.map(r => r.key.length));
+    for (const r of rows) console.log('  ' + r.key.padEnd(width) + '  ' + r.value);
+
+    const config = autoplay.loadConfig(root);
+    console.log(chalk.bold('\n  Per role') + chalk.dim(' (set model.<role>, max_agent_turns.<role>, prompt.<role>)'));
+    for (const role of features.AGENT_ROLES) {
+      const s = autoplay.roleSettings(config, role, null);
+      console.log('  ' + role.padEnd(7) + ' model=' + s.model + '  max_turns=' + s.maxAgentTurns + '  prompt=' + s.prompt);
+    }
+    db.close();
+  });
+
 conf.command('get <key>')
   .action((key) => {
     const root = resolveRoot(program.opts());
@@ -461,4 +1453,10 @@ conf.command('set <key> <value>')
     db.close();
   });
 
-program.parse();
+// parseAsync so a failure in an async action (autoplay, dashboard) ends the process
+// with its message instead of an unhandled rejection
+program.parseAsync().catch((err) => {
+  console.error(chalk.red(err.code ? err.message : err.stack));
+  db.close();
+  process.exit(1);
+});
@@ -33,6 +33,84 @@ events.addEventListener('feature-updated', function(e) {
   render(allFeatures);
 });
 
+events.addEventListener('feature-deleted', function(e) {
+  var deleted = JSON.parse(e.data);
+  allFeatures = allFeatures.filter(function(f) { return f.id !== deleted.id; });
+  render(allFeatures);
+});
+
+// Sent when the server re-imports an OpenSpec change (dashboard --watch-openspec);
+// the features themselves follow in a 'features' event
+events.addEventListener('openspec-imported', function(e) {
+  var result = JSON.parse(e.data);
+  if (!result.ok) {
+    showToast('OpenSpec change "' + result.change + '" not imported: ' + result.error);
+  } else if (result.created.length + result.updated.length > 0) {
+    showToast('OpenSpec change "' + result.change + '" imported: ' + result.created.length + ' created, ' +
+      result.updated.length + ' updated');
+  }
+});
+
+// API calls. Validation errors (bad transition, unknown dependency) come back as
+// { error } with a 4xx status and are shown as a toast; resolves to null then.
+function api(method, url, body) {
+  return fetch(url, {
+    method: method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  }).then(function(r) {
+    if (r.status === 204) return {};
+    return r.json().then(function(data) {
+      if (!r.ok) {
+        showToast(data.error || ('Request failed: ' + r.status));
+        return null;
+      }
+      return data;
+    });
+  });
+}
+
+function applyUpdate(updated) {
+  var idx = allFeatures.findIndex(function(f) { return f.id === updated.id; });
+  if (idx !== -1) {
+    allFeatures[idx] = updated;
+  } else {
+    allFeatures.push(updated);
+  }
+  render(allFeatures);
+}
+
+var toastTimer = null;
+function showToast(message) {
+  var toast = document.getElementById('toast');
+  toast.textContent = message;
+  toast.classList.remove('hidden');
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(function() { toast.classList.add('hidden'); }, 5000);
+}
+
+// Drag and drop: dropping a card on a column requests that status transition
+document.querySelectorAll('.column').forEach(function(column) {
+  column.addEventListener('dragover', function(e) {
+    e.preventDefault();
+    column.classList.add('drop-target');
+  });
+  column.addEventListener('dragleave', function() {
+    column.classList.remove('drop-target');
+  });
+  column.addEventListener('drop', function(e) {
+    e.preventDefault();
+    column.classList.remove('drop-target');
+    var id = e.dataTransfer.getData('text/plain');
+    var status = column.getAttribute('data-status');
+    var f = allFeatures.find(function(x) { return x.id === id; });
+    if (!f || f.status === status) return;
+    api('PATCH', '/api/features/' + encodeURIComponent(id), { status: status }).then(function(updated) {
+      if (updated) applyUpdate(updated);
+    });
+  });
+});
+
 function render(featureList) {
   // Clear all columns
   STATUSES.forEach(function(status) {
@@ -52,7 +130,13 @@ function render(featureList) {
 
     var card = document.createElement('div');
     card.className = 'card';
+    card.draggable = true;
     card.onclick = function() { showDetail(f); };
+    card.ondragstart = function(e) {
+      e.dataTransfer.setData('text/plain', f.id);
+      card.classList.add('dragging');
+    };
+    card.ondragend = function() { card.classList.remove('dragging'); };
 
     var idDiv = document.createElement('div');
     idDiv.className = 'card-id';
@@ -149,9 +233,196 @@ function showDetail(f) {
     body.appendChild(p);
   }
 
+  var sessionList = document.createElement('div');
+  body.appendChild(sessionList);
+  loadSessions(f, sessionList);
+
+  var actions = document.createElement('div');
+  actions.className = 'modal-actions';
+  actions.appendChild(makeButton('Edit', 'btn', function() { showEditor(f); }));
+  actions.appendChild(makeButton('Delete', 'btn btn-danger', function() { deleteFeature(f); }));
+  body.appendChild(actions);
+
   document.getElementById('detail-modal').classList.remove('hidden');
 }
 
+// Agent sessions of a feature, newest first, with links to their transcripts
+function loadSessions(f, container) {
+  fetch('/api/sessions?feature=' + encodeURIComponent(f.id))
+    .then(function(r) { return r.json(); })
+    .then(function(items) {
+      if (items.length === 0) return;
+      var h = document.createElement('h3');
+      h.textContent = 'Sessions';
+      h.style.cssText = 'margin-top:16px;font-size:14px;color:#f0f6fc';
+      container.appendChild(h);
+
+      var ul = document.createElement('ul');
+      ul.className = 'session-list';
+      items.slice().reverse().forEach(function(s) {
+        var li = document.createElement('li');
+        var text = document.createElement('span');
+        var parts = [s.outcome || (s.ended_at ? '-' : 'running')];
+        if (s.duration_seconds !== null) parts.push(formatSeconds(s.duration_seconds));
+        if (s.cost_usd !== null) parts.push('$' + s.cost_usd.toFixed(4));
+        text.textContent = '#' + s.session_number + ' ' + s.agent_role + ' (' + parts.join(', ') + ')';
+        li.appendChild(text);
+        if (s.log_path) {
+          li.appendChild(makeButton('Transcript', 'btn btn-small', function() { showTranscript(f, s); }));
+        }
+        ul.appendChild(li);
+      });
+      container.appendChild(ul);
+    });
+}
+
+// Transcript of one session in the detail modal, with a line filter
+function showTranscript(f, s) {
+  document.getElementById('modal-title').textContent = f.id + ': session #' + s.session_number + ' (' + s.agent_role + ')';
+
+  var body = document.getElementById('modal-body');
+  body.textContent = '';
+
+  var toolbar = document.createElement('div');
+  toolbar.className = 'transcript-toolbar';
+  toolbar.appendChild(makeButton('Back', 'btn', function() { showDetail(f); }));
+  var filter = document.createElement('input');
+  filter.type = 'search';
+  filter.placeholder = 'Filter lines';
+  toolbar.appendChild(filter);
+  body.appendChild(toolbar);
+
+  var pre = document.createElement('pre');
+  pre.className = 'transcript';
+  pre.textContent = 'Loading...';
+  body.appendChild(pre);
+
+  fetch('/api/sessions/' + s.session_number + '/log')
+    .then(function(r) {
+      if (!r.ok) return r.json().then(function(data) { throw new Error(data.error); });
+      return r.text();
+    })
+    .then(function(text) {
+      var lines = text.replace(/\n$/, '').split('\n');
+      function render() {
+        var needle = filter.value.toLowerCase();
+        pre.textContent = needle
+          ? lines.filter(function(line) { return line.toLowerCase().indexOf(needle) !== -1; }).join('\n')
+          : lines.join('\n');
+      }
+      filter.addEventListener('input', render);
+      render();
+    })
+    .catch(function(err) { pre.textContent = err.message; });
+}
+
+// Edit form for an existing feature, or a blank one for a new feature (f = null)
+function showEditor(f) {
+  document.getElementById('modal-title').textContent = f ? 'Edit ' + f.id : 'New feature';
+
+  var body = document.getElementById('modal-body');
+  body.textContent = '';
+
+  var form = document.createElement('form');
+  form.className = 'editor';
+  var description = addField(form, 'Description', 'input', f ? f.description : '');
+  var category = addField(form, 'Category', 'input', f ? f.category : '');
+  var dependsOn = addField(form, 'Depends on (comma-separated IDs)', 'input', f ? f.depends_on.join(', ') : '');
+  var compliance = addField(form, 'Architecture compliance (comma-separated principle IDs)', 'input',
+    f ? f.architecture_compliance.join(', ') : '');
+  var overrides = addField(form, 'Agent overrides (comma-separated key=value, e.g. model.review=claude-opus-4-1)', 'input',
+    f ? Object.keys(f.agent_overrides).map(function(key) { return key + '=' + f.agent_overrides[key]; }).join(', ') : '');
+  var budget = addField(form, 'Budget in USD (empty for none)', 'input', f && f.budget_usd !== null ? String(f.budget_usd) : '');
+  var notes = addField(form, 'Notes', 'textarea', f ? f.notes : '');
+
+  var actions = document.createElement('div');
+  actions.className = 'modal-actions';
+  actions.appendChild(makeButton('Save', 'btn btn-primary', null, 'submit'));
+  actions.appendChild(makeButton('Cancel', 'btn', function() { f ? showDetail(f) : closeModal(); }));
+  form.appendChild(actions);
+
+  form.onsubmit = function(e) {
+    e.preventDefault();
+    var fields = {
+      description: description.value.trim(),
+      category: category.value.trim(),
+      depends_on: splitList(dependsOn.value),
+      architecture_compliance: splitList(compliance.value),
+      agent_overrides: parseOverrides(overrides.value),
+      budget_usd: parseBudget(budget.value),
+      notes: notes.value
+    };
+    var request = f
+      ? api('PATCH', '/api/features/' + encodeURIComponent(f.id), fields)
+      : api('POST', '/api/features', fields);
+    request.then(function(saved) {
+      if (!saved) return;
+      applyUpdate(saved);
+      showDetail(saved);
+    });
+  };
+
+  body.appendChild(form);
+  document.getElementById('detail-modal').classList.remove('hidden');
+  description.focus();
+}
+
+function deleteFeature(f) {
+  if (!confirm('Delete ' + f.id + ': ' + f.description + '?')) return;
+  api('DELETE', '/api/features/' + encodeURIComponent(f.id)).then(function(result) {
+    if (!result) return;
+    allFeatures = allFeatures.filter(function(x) { return x.id !== f.id; });
+    render(allFeatures);
+    closeModal();
+  });
+}
+
+// '' means no budget; text that isn't a number is sent as is for the server to reject
+function parseBudget(text) {
+  if (!text.trim()) return null;
+  var amount = Number(text);
+  return isFinite(amount) ? amount : text;
+}
+
+// "model.review=x, max_agent_turns=80" -> { "model.review": "x", "max_agent_turns": "80" }
+function parseOverrides(text) {
+  var overrides = {};
+  splitList(text).forEach(function(pair) {
+    var eq = pair.indexOf('=');
+    var key = (eq === -1 ? pair : pair.slice(0, eq)).trim();
+    var value = eq === -1 ? '' : pair.slice(eq + 1).trim();
+    if (key && value) overrides[key] = value;
+  });
+  return overrides;
+}
+
+function addField(form, label, tag, value) {
+  var wrapper = document.createElement('label');
+  wrapper.className = 'field';
+  var span = document.createElement('span');
+  span.textContent = label;
+  var input = document.createElement(tag);
+  input.value = value || '';
+  if (tag === 'textarea') input.rows = 4;
+  wrapper.appendChild(span);
+  wrapper.appendChild(input);
+  form.appendChild(wrapper);
+  return input;
+}
+
+function makeButton(label, className, onclick, type) {
+  var button = document.createElement('button');
+  button.type = type || 'button';
+  button.className = className;
+  button.textContent = label;
+  if (onclick) button.onclick = onclick;
+  return button;
+}
+
+function splitList(value) {
+  return value.split(',').map(function(s) { return s.trim(); }).filter(Boolean);
+}
+
 function closeModal() {
   document.getElementById('detail-modal').classList.add('hidden');
 }
@@ -214,10 +485,266 @@ function renderOpenspecPanel(changes) {
   }
 }
 
+// Tabs: board / dependency graph / costs
+var currentView = 'board';
+document.querySelectorAll('.tab').forEach(function(tab) {
+  tab.onclick = function() {
+    currentView = tab.getAttribute('data-view');
+    document.querySelectorAll('.tab').forEach(function(t) {
+      t.classList.toggle('active', t === tab);
+      document.getElementById(t.getAttribute('data-view')).classList.toggle('hidden', t !== tab);
+    });
+    refreshView();
+  };
+});
+
+function refreshView() {
+  if (currentView === 'graph-view') loadGraph();
+  if (currentView === 'costs-view') loadCosts();
+  if (currentView === 'compliance-view') loadCompliance();
+}
+
+// Cost panel
+document.getElementById('costs-by').onchange = loadCosts;
+
+function loadCosts() {
+  var by = document.getElementById('costs-by').value;
+  fetch('/api/costs?by=' + by)
+    .then(function(r) { return r.json(); })
+    .then(function(rows) { renderCosts(by, rows); });
+}
+
+function renderCosts(by, rows) {
+  var table = document.getElementById('costs-table');
+  table.textContent = '';
+  var head = document.createElement('tr');
+  [by, 'Sessions', 'Input tokens', 'Output tokens', 'Turns', 'Time', 'Cost'].forEach(function(label) {
+    var th = document.createElement('th');
+    th.textContent = label.charAt(0).toUpperCase() + label.slice(1);
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+
+  var total = 0;
+  rows.forEach(function(r) {
+    total += r.cost_usd;
+    var tr = document.createElement('tr');
+    var over = r.budget_usd !== null && r.cost_usd >= r.budget_usd;
+    if (over) tr.className = 'over-budget';
+    var cost = '$' + r.cost_usd.toFixed(4) + (r.budget_usd !== null ? ' / $' + r.budget_usd.toFixed(2) : '');
+    [r.key || '-', r.sessions, r.input_tokens.toLocaleString(), r.output_tokens.toLocaleString(), r.turns,
+      formatSeconds(r.duration_seconds), cost].forEach(function(value, i) {
+      var td = document.createElement('td');
+      td.textContent = value;
+      if (i === 0 && by === 'feature') {
+        var f = allFeatures.find(function(x) { return x.id === r.key; });
+        if (f) {
+          td.className = 'link';
+          td.title = f.description;
+          td.onclick = function() { showDetail(f); };
+        }
+      }
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+
+  document.getElementById('costs-total').textContent = rows.length > 0 ? 'Total: $' + total.toFixed(4) : 'No sessions recorded.';
+}
+
+// Compliance matrix: one row per feature, one column per principle
+function loadCompliance() {
+  fetch('/api/compliance')
+    .then(function(r) { return r.json(); })
+    .then(renderCompliance);
+}
+
+function renderCompliance(report) {
+  var warnings = document.getElementById('compliance-warnings');
+  warnings.textContent = '';
+  if (!report.imported) {
+    addWarning(warnings, 'No principles in the DB. Run: framework arch import');
+  }
+  report.unknown_references.forEach(function(ref) {
+    addWarning(warnings, ref.feature + ' references unknown principle ' + ref.principle);
+  });
+  if (report.unchecked_mandatory.length > 0) {
+    addWarning(warnings, 'Mandatory principles no feature was checked against: ' + report.unchecked_mandatory.join(', '));
+  }
+
+  var columns = report.principles.map(function(p) { return p.id; });
+  report.unknown_references.forEach(function(ref) {
+    if (columns.indexOf(ref.principle) === -1) columns.push(ref.principle);
+  });
+
+  var table = document.getElementById('compliance-table');
+  table.textContent = '';
+  var head = document.createElement('tr');
+  var corner = document.createElement('th');
+  corner.textContent = 'Feature';
+  head.appendChild(corner);
+  columns.forEach(function(id) {
+    var th = document.createElement('th');
+    var principle = report.principles.find(function(p) { return p.id === id; });
+    th.textContent = id;
+    th.title = principle ? principle.name + (principle.mandatory ? ' (mandatory)' : '') : 'Unknown principle';
+    if (!principle) th.className = 'unknown';
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+
+  report.features.forEach(function(row) {
+    var tr = document.createElement('tr');
+    var name = document.createElement('td');
+    name.textContent = row.id;
+    name.title = row.description;
+    name.className = 'link';
+    name.onclick = function() {
+      var f = allFeatures.find(function(x) { return x.id === row.id; });
+      if (f) showDetail(f);
+    };
+    tr.appendChild(name);
+    columns.forEach(function(id) {
+      var td = document.createElement('td');
+      var cell = row.cells[id];
+      td.textContent = cell ? { pass: 'pass', fail: 'fail', unchecked: '?' }[cell] : '-';
+      td.className = 'cell-' + (cell || 'none');
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+}
+
+function addWarning(container, text) {
+  var div = document.createElement('div');
+  div.className = 'warning';
+  div.textContent = text;
+  container.appendChild(div);
+}
+
+function formatSeconds(seconds) {
+  if (seconds < 60) return seconds + 's';
+  var m = Math.floor(seconds / 60);
+  if (m < 60) return m + 'm' + String(seconds % 60).padStart(2, '0') + 's';
+  return Math.floor(m / 60) + 'h' + String(m % 60).padStart(2, '0') + 'm';
+}
+
+var STATUS_COLORS = {
+  'pending': '#484f58', 'in-dev': '#388bfd', 'ready-for-review': '#d29922', 'approved': '#3fb950',
+  'needs-revision': '#f85149', 'qa-testing': '#a371f7', 'pr-open': '#d29922', 'complete': '#3fb950'
+};
+var SVG_NS = 'http://www.w3.org/2000/svg';
+var NODE_W = 180, NODE_H = 52, COL_GAP = 70, ROW_GAP = 18, PAD = 20;
+
+function loadGraph() {
+  fetch('/api/graph')
+    .then(function(r) { return r.json(); })
+    .then(renderGraph);
+}
+
+// Layered layout: column = longest dependency chain below the feature
+function renderGraph(g) {
+  var canvas = document.getElementById('graph-canvas');
+  canvas.textContent = '';
+
+  var summary = [g.nodes.length + ' features'];
+  if (g.critical_path.length > 0) summary.push('critical path: ' + g.critical_path.length);
+  var blockedCount = g.nodes.filter(function(n) { return n.blocked; }).length;
+  if (blockedCount > 0) summary.push(blockedCount + ' blocked');
+  if (g.cycles.length > 0) summary.push(g.cycles.length + ' cycle(s)');
+  document.getElementById('graph-summary').textContent = summary.join(' · ');
+
+  var columns = [];
+  g.nodes.forEach(function(n) {
+    (columns[n.depth] = columns[n.depth] || []).push(n);
+  });
+
+  var pos = {};
+  var height = 0;
+  columns.forEach(function(col, c) {
+    (col || []).forEach(function(n, r) {
+      pos[n.id] = { x: PAD + c * (NODE_W + COL_GAP), y: PAD + r * (NODE_H + ROW_GAP) };
+      height = Math.max(height, pos[n.id].y + NODE_H + PAD);
+    });
+  });
+  var width = PAD * 2 + columns.length * (NODE_W + COL_GAP) - COL_GAP;
+
+  var svg = svgEl('svg', { width: Math.max(width, 200), height: Math.max(height, 100) });
+  var defs = svgEl('defs', {});
+  defs.appendChild(arrowMarker('arrow', '#484f58'));
+  defs.appendChild(arrowMarker('arrow-critical', '#d29922'));
+  defs.appendChild(arrowMarker('arrow-cycle', '#f85149'));
+  svg.appendChild(defs);
+
+  // Edges point from dependency to dependent
+  g.edges.forEach(function(e) {
+    var from = pos[e.from], to = pos[e.to];
+    if (!from || !to) return;
+    var x1 = from.x + NODE_W, y1 = from.y + NODE_H / 2;
+    var x2 = to.x, y2 = to.y + NODE_H / 2;
+    if (x2 <= x1) {
+      // Back edge (cycle): route around below the nodes
+      x1 = from.x + NODE_W / 2; y1 = from.y + NODE_H;
+      x2 = to.x + NODE_W / 2; y2 = to.y + NODE_H;
+    }
+    var mid = (x1 + x2) / 2;
+    var d = x2 > x1
+      ? 'M' + x1 + ',' + y1 + ' C' + mid + ',' + y1 + ' ' + mid + ',' + y2 + ' ' + x2 + ',' + y2
+      : 'M' + x1 + ',' + y1 + ' C' + x1 + ',' + (y1 + 40) + ' ' + x2 + ',' + (y2 + 40) + ' ' + x2 + ',' + y2;
+    var cls = 'graph-edge' + (e.critical ? ' critical' : '') + (e.in_cycle ? ' in-cycle' : '') + (e.missing ? ' missing' : '');
+    var marker = e.in_cycle ? 'arrow-cycle' : (e.critical ? 'arrow-critical' : 'arrow');
+    svg.appendChild(svgEl('path', { d: d, 'class': cls, 'marker-end': 'url(#' + marker + ')' }));
+  });
+
+  g.nodes.forEach(function(n) {
+    var p = pos[n.id];
+    var cls = 'graph-node' + (n.blocked ? ' blocked' : '') + (n.critical ? ' critical' : '') + (n.in_cycle ? ' in-cycle' : '');
+    var group = svgEl('g', { 'class': cls, transform: 'translate(' + p.x + ',' + p.y + ')' });
+    group.appendChild(svgEl('rect', { width: NODE_W, height: NODE_H, rx: 6 }));
+    group.appendChild(svgEl('rect', { width: 5, height: NODE_H, rx: 2, style: 'fill:' + (STATUS_COLORS[n.status] || '#484f58') + ';stroke:none' }));
+    var idText = svgEl('text', { x: 14, y: 19, 'class': 'node-id' });
+    idText.textContent = n.id + ' · ' + n.status;
+    var title = svgEl('text', { x: 14, y: 38, 'class': 'node-title' });
+    title.textContent = n.description.length > 24 ? n.description.slice(0, 23) + '…' : n.description;
+    group.appendChild(idText);
+    group.appendChild(title);
+
+    var tip = svgEl('title', {});
+    tip.textContent = n.id + ': ' + n.description +
+      (n.blocked ? '\nBlocked by: ' + n.blocked_by.join(', ') : '') +
+      (n.in_cycle ? '\nPart of a dependency cycle' : '');
+    group.appendChild(tip);
+
+    group.addEventListener('click', function() {
+      var f = allFeatures.find(function(x) { return x.id === n.id; });
+      if (f) showDetail(f);
+    });
+    svg.appendChild(group);
+  });
+
+  canvas.appendChild(svg);
+}
+
+function svgEl(tag, attrs) {
+  var el = document.createElementNS(SVG_NS, tag);
+  Object.keys(attrs).forEach(function(k) { el.setAttribute(k, attrs[k]); });
+  return el;
+}
+
+function arrowMarker(id, color) {
+  var marker = svgEl('marker', { id: id, viewBox: '0 0 10 10', refX: 9, refY: 5, markerWidth: 7, markerHeight: 7, orient: 'auto' });
+  marker.appendChild(svgEl('path', { d: 'M0,0 L10,5 L0,10 z', style: 'fill:' + color }));
+  return marker;
+}
+
 // Load on start and refresh with SSE
 loadOpenspecChanges();
 events.addEventListener('features', function() { loadOpenspecChanges(); });
 events.addEventListener('feature-updated', function() { loadOpenspecChanges(); });
+events.addEventListener('openspec-imported', function() { loadOpenspecChanges(); });
+['features', 'feature-updated', 'feature-deleted'].forEach(function(name) {
+  events.addEventListener(name, refreshView);
+});
 
 function makeSection(title, items) {
   var frag = document.createDocumentFragment();
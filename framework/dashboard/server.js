@@ -2,6 +2,11 @@ const express = require('express');
 const path = require('path');
 const db = require('../lib/db');
 const features = require('../lib/features');
+const sessions = require('../lib/sessions');
+const graph = require('../lib/graph');
+const architecture = require('../lib/architecture');
+const autoplay = require('../lib/autoplay');
+const openspec = require('../lib/openspec');
 
 const app = express();
 const projectRoot = process.env.FRAMEWORK_PROJECT_ROOT || process.cwd();
@@ -35,7 +40,7 @@ function broadcast(event, data) {
 
 // Poll DB for changes every 2 seconds
 let lastState = '';
-setInterval(() => {
+function pushFeatures() {
   try {
     const all = features.list(projectRoot);
     const state = JSON.stringify(all);
@@ -46,7 +51,29 @@ setInterval(() => {
   } catch (e) {
     // DB may be locked by agent, skip this tick
   }
-}, 2000);
+}
+setInterval(pushFeatures, 2000);
+
+// Import OpenSpec changes as they are written (dashboard --watch-openspec or
+// openspec_watch) and push the result right away
+if (process.env.FRAMEWORK_OPENSPEC_WATCH === 'true' || autoplay.loadConfig(projectRoot).openspecWatch) {
+  openspec.watchChanges(projectRoot, {
+    onImport: (change, result) => {
+      if (!result.ok) return broadcast('openspec-imported', { change, ok: false, error: result.error });
+      broadcast('openspec-imported', {
+        change,
+        ok: true,
+        created: result.created,
+        updated: result.updated,
+        advanced: result.advanced,
+        orphans: result.orphans.map(o => o.id),
+        total: result.total
+      });
+      pushFeatures();
+    }
+  });
+  console.log('Watching openspec/changes/ for new and edited changes');
+}
 
 // API endpoints
 app.get('/api/features', (req, res) => {
@@ -63,13 +90,94 @@ app.get('/api/features/:id', (req, res) => {
   res.json(f);
 });
 
+// Validation errors from lib/features map to HTTP statuses; anything else is a 500
+function sendFeatureError(res, err) {
+  const status = { ILLEGAL_TRANSITION: 409, HAS_DEPENDENTS: 409, INVALID_FEATURE: 400 }[err.code];
+  if (!status) throw err;
+  res.status(status).json({ error: err.message, code: err.code });
+}
+
+app.post('/api/features', (req, res) => {
+  const body = req.body || {};
+  let f;
+  try {
+    f = features.create(projectRoot, {
+      id: features.nextId(projectRoot),
+      category: body.category,
+      description: body.description,
+      depends_on: body.depends_on,
+      openspec_reference: body.openspec_reference,
+      architecture_compliance: body.architecture_compliance,
+      agent_overrides: body.agent_overrides,
+      budget_usd: body.budget_usd,
+      notes: body.notes
+    });
+  } catch (err) {
+    return sendFeatureError(res, err);
+  }
+  broadcast('feature-updated', f);
+  res.status(201).json(f);
+});
+
 app.patch('/api/features/:id', (req, res) => {
-  const f = features.update(projectRoot, req.params.id, req.body);
+  let f;
+  try {
+    f = features.update(projectRoot, req.params.id, req.body);
+  } catch (err) {
+    return sendFeatureError(res, err);
+  }
   if (!f) return res.status(404).json({ error: 'Not found' });
+  if (req.body.status) autoplay.maybeSyncBack(f, autoplay.loadConfig(projectRoot));
   broadcast('feature-updated', f);
   res.json(f);
 });
 
+app.delete('/api/features/:id', (req, res) => {
+  if (!features.get(projectRoot, req.params.id)) return res.status(404).json({ error: 'Not found' });
+  try {
+    features.remove(projectRoot, req.params.id);
+  } catch (err) {
+    return sendFeatureError(res, err);
+  }
+  broadcast('feature-deleted', { id: req.params.id });
+  res.status(204).end();
+});
+
+// Dependency graph: nodes coloured by status, depends_on edges, critical path, cycles
+app.get('/api/graph', (req, res) => {
+  res.json(graph.buildGraph(projectRoot));
+});
+
+app.get('/api/sessions', (req, res) => {
+  const items = sessions.list(projectRoot, {
+    featureId: req.query.feature,
+    role: req.query.role,
+    limit: req.query.limit
+  });
+  res.json(items);
+});
+
+// Features x principles compliance matrix
+app.get('/api/compliance', (req, res) => {
+  res.json(architecture.complianceReport(projectRoot));
+});
+
+// Transcript of one session, as plain text
+app.get('/api/sessions/:number/log', (req, res) => {
+  const session = sessions.getByNumber(projectRoot, parseInt(req.params.number, 10));
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  const text = sessions.readLog(projectRoot, session);
+  if (text === null) return res.status(404).json({ error: 'No transcript for this session' });
+  res.type('text/plain').send(text);
+});
+
+// Agent usage and cost, grouped by feature, role or change
+app.get('/api/costs', (req, res) => {
+  const rows = sessions.costReport(projectRoot, { by: req.query.by || 'feature' });
+  if (!rows) return res.status(400).json({ error: 'by must be feature, role or change' });
+  res.json(rows);
+});
+
 app.get('/api/status', (req, res) => {
   const all = features.list(projectRoot);
   const counts = {};
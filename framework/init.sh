@@ -247,6 +247,7 @@ echo ""
 if [ ! -f "$TARGET/.framework/package.json" ]; then
   cp "$FRAMEWORK_DIR/package.json" "$TARGET/.framework/package.json"
   cp "$FRAMEWORK_DIR/schema.sql" "$TARGET/.framework/schema.sql"
+  cp -r "$FRAMEWORK_DIR/schemas" "$TARGET/.framework/schemas"
   cp -r "$FRAMEWORK_DIR/lib" "$TARGET/.framework/lib"
   cp -r "$FRAMEWORK_DIR/bin" "$TARGET/.framework/bin"
   cp -r "$FRAMEWORK_DIR/dashboard" "$TARGET/.framework/dashboard"
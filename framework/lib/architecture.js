@@ -0,0 +1,349 @@
+/**
+ * Architecture Documents and Compliance
+ *
+ * `framework arch import` validates the files in architecture/ against their
+ * schemas (lib/schemas.js) and copies them into the architecture table; everything
+ * else reads them from there. lint() cross-checks the IDs the files and features
+ * refer to. The compliance report crosses each feature's architecture_compliance
+ * IDs with the principles document and the verdicts recorded in lib/reviews.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const features = require('./features');
+const reviews = require('./reviews');
+const schemas = require('./schemas');
+
+// DB id -> file in architecture/
+const FILES = {
+  principles: 'architecture-principles.json',
+  patterns: 'architecture-patterns.json',
+  standards: 'code-standards.json'
+};
+
+// Validate the architecture files that exist and copy them into the DB. Nothing is
+// imported if any file fails its schema, unless force is set (files that aren't
+// valid JSON are never imported). Returns { ok, imported: [{ id, file }], problems },
+// problems being schema errors as formatted lines.
+function importFiles(projectRoot, { force } = {}) {
+  const found = [];
+  const problems = [];
+  for (const [id, filename] of Object.entries(FILES)) {
+    const filePath = path.join(projectRoot, 'architecture', filename);
+    if (!fs.existsSync(filePath)) continue;
+    const result = schemas.checkFile(filePath);
+    problems.push(...schemas.formatErrors(path.join('architecture', filename), result.errors));
+    if (result.value !== null) found.push({ id, file: filename, data: fs.readFileSync(filePath, 'utf8') });
+  }
+  if (problems.length > 0 && !force) return { ok: false, imported: [], problems };
+
+  const d = db.get(projectRoot);
+  const upsert = d.prepare("INSERT INTO architecture (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = ?, updated_at = datetime('now')");
+  d.transaction(() => {
+    for (const f of found) upsert.run(f.id, f.data, f.data);
+  })();
+  return { ok: problems.length === 0, imported: found.map(f => ({ id: f.id, file: f.file })), problems };
+}
+
+// Write the documents stored in the DB back to architecture/. Returns [{ id, file }] exported.
+function exportFiles(projectRoot) {
+  const d = db.get(projectRoot);
+  const exported = [];
+  for (const [id, filename] of Object.entries(FILES)) {
+    const row = d.prepare('SELECT data FROM architecture WHERE id = ?').get(id);
+    if (!row) continue;
+    fs.writeFileSync(path.join(projectRoot, 'architecture', filename), row.data, 'utf8');
+    exported.push({ id, file: filename });
+  }
+  return exported;
+}
+
+// Parsed document, or null if it was never imported
+function getDocument(projectRoot, id) {
+  const d = db.get(projectRoot);
+  const row = d.prepare('SELECT data FROM architecture WHERE id = ?').get(id);
+  return row ? JSON.parse(row.data) : null;
+}
+
+// Principles from the imported principles document ([] if not imported)
+function listPrinciples(projectRoot) {
+  const doc = getDocument(projectRoot, 'principles');
+  return doc && Array.isArray(doc.principles) ? doc.principles : [];
+}
+
+// Cross-check the architecture files on disk (falling back to the DB copy of a
+// missing file) and the features in the DB:
+//   errors:   schema errors, duplicate IDs, patterns and features referring to
+//             principles that don't exist
+//   warnings: checked_by naming an agent no feature uses, principles nothing refers to
+// Each problem is { location, message }, location being file:line:column or a feature ID.
+function lint(projectRoot) {
+  const errors = [];
+  const warnings = [];
+  const docs = {};
+
+  for (const [id, filename] of Object.entries(FILES)) {
+    const label = path.join('architecture', filename);
+    const filePath = path.join(projectRoot, label);
+    if (fs.existsSync(filePath)) {
+      const result = schemas.checkFile(filePath);
+      for (const e of result.errors) {
+        errors.push({ location: label + ':' + e.line + ':' + e.column, message: (e.pointer ? e.pointer + ': ' : '') + e.message });
+      }
+      if (result.value !== null) docs[id] = { value: result.value, positions: result.positions, label: label };
+    } else {
+      const stored = getDocument(projectRoot, id);
+      if (stored) docs[id] = { value: stored, positions: new Map(), label: label + ' (DB copy)' };
+    }
+  }
+
+  const at = (doc, pointer) => {
+    const pos = doc.positions.get(pointer);
+    return pos ? doc.label + ':' + pos.line + ':' + pos.column : doc.label;
+  };
+  const entries = (id, key) => {
+    const doc = docs[id];
+    const list = doc && Array.isArray(doc.value[key]) ? doc.value[key] : [];
+    return list.map((item, i) => ({ doc: doc, item: item || {}, pointer: '/' + key + '/' + i }));
+  };
+
+  const principles = entries('principles', 'principles');
+  const patterns = entries('patterns', 'patterns');
+  const standards = entries('standards', 'standards');
+
+  // IDs must be unique across all three files
+  const seen = new Map();
+  for (const e of principles.concat(patterns, standards)) {
+    if (typeof e.item.id !== 'string') continue;
+    const where = at(e.doc, e.pointer + '/id');
+    if (seen.has(e.item.id)) {
+      errors.push({ location: where, message: 'Duplicate ID ' + e.item.id + ' (first defined at ' + seen.get(e.item.id) + ')' });
+    } else {
+      seen.set(e.item.id, where);
+    }
+  }
+
+  const principleIds = new Set(principles.map(e => e.item.id));
+  const referenced = new Set();
+  const hasPrinciples = Boolean(docs.principles);
+
+  for (const e of patterns) {
+    (Array.isArray(e.item.principles) ? e.item.principles : []).forEach((ref, i) => {
+      referenced.add(ref);
+      if (hasPrinciples && !principleIds.has(ref)) {
+        errors.push({ location: at(e.doc, e.pointer + '/principles/' + i), message: 'Pattern ' + e.item.id + ' refers to unknown principle ' + ref });
+      }
+    });
+  }
+
+  const all = features.list(projectRoot);
+  for (const f of all) {
+    for (const ref of f.architecture_compliance) {
+      referenced.add(ref);
+      if (hasPrinciples && !principleIds.has(ref)) {
+        errors.push({ location: f.id, message: 'architecture_compliance refers to unknown principle ' + ref });
+      }
+    }
+  }
+
+  // checked_by names agents: the three built-in roles plus any the features assign
+  const agents = new Set(['dev-agent', 'code-reviewer', 'qa-agent']);
+  for (const f of all) [f.assigned_to, f.reviewed_by, f.tested_by].forEach(a => agents.add(a));
+  for (const e of principles) {
+    (Array.isArray(e.item.checked_by) ? e.item.checked_by : []).forEach((agent, i) => {
+      if (!agents.has(agent)) {
+        warnings.push({ location: at(e.doc, e.pointer + '/checked_by/' + i), message: 'Principle ' + e.item.id + ' is checked by unknown agent "' + agent + '"' });
+      }
+    });
+    if (typeof e.item.id === 'string' && all.length > 0 && !referenced.has(e.item.id)) {
+      warnings.push({ location: at(e.doc, e.pointer + '/id'), message: 'Principle ' + e.item.id + ' is not referenced by any feature or pattern' });
+    }
+  }
+
+  if (!hasPrinciples) {
+    warnings.push({ location: path.join('architecture', FILES.principles), message: 'Not found (and not imported), principle references were not checked' });
+  }
+  return { errors, warnings };
+}
+
+// Architecture section of an agent prompt: the feature's architecture_compliance
+// principles in full (rule, verification steps, violation and compliant examples),
+// then the patterns implementing them (or not tied to any principle) and the code
+// standards. Principles are always included; past maxChars their examples go
+// first, then patterns and standards from the first one that doesn't fit are
+// listed by ID only. maxChars 0 means no limit.
+// Returns null when no principles were imported.
+function promptContext(projectRoot, feature, { maxChars } = {}) {
+  const principles = listPrinciples(projectRoot);
+  if (principles.length === 0 && !getDocument(projectRoot, 'principles')) return null;
+  const cap = maxChars || Infinity;
+
+  const byId = new Map(principles.map(p => [p.id, p]));
+  const wanted = feature.architecture_compliance;
+  const selected = wanted.filter(id => byId.has(id)).map(id => byId.get(id));
+  const unknown = wanted.filter(id => !byId.has(id));
+
+  const patternsDoc = getDocument(projectRoot, 'patterns');
+  const standardsDoc = getDocument(projectRoot, 'standards');
+  const patterns = (patternsDoc && Array.isArray(patternsDoc.patterns) ? patternsDoc.patterns : [])
+    .filter(p => !Array.isArray(p.principles) || p.principles.length === 0 || p.principles.some(id => wanted.includes(id)));
+  const standards = standardsDoc && Array.isArray(standardsDoc.standards) ? standardsDoc.standards : [];
+
+  const header = '=== ARCHITECTURE FOR ' + feature.id + ' ===\n\n' +
+    'These are the principles this feature must comply with, with the patterns and code standards that apply. ' +
+    'Open the files in architecture/ only for anything missing here.';
+  let principleText = selected.map(p => principleBlock(p, true)).join('\n\n');
+  let examplesOmitted = false;
+  if (header.length + principleText.length > cap) {
+    principleText = selected.map(p => principleBlock(p, false)).join('\n\n');
+    examplesOmitted = selected.some(p => hasExamples(p));
+  }
+
+  const parts = [header];
+  parts.push('## Principles\n\n' + (principleText || 'This feature lists no architecture_compliance principles.'));
+  if (unknown.length > 0) parts.push('Unknown principle IDs (not in architecture-principles.json): ' + unknown.join(', '));
+
+  const omitted = [];
+  let size = parts.join('\n\n').length;
+  for (const [title, items, block] of [['## Patterns', patterns, patternBlock], ['## Code standards', standards, standardBlock]]) {
+    const kept = [];
+    for (const item of items) {
+      const text = block(item);
+      const extra = text.length + (kept.length === 0 ? title.length + 4 : 2);
+      // Once one doesn't fit, leave out the rest so the cut follows the order
+      if (omitted.length > 0 || size + extra > cap) {
+        omitted.push(item.id || item.name);
+        continue;
+      }
+      kept.push(text);
+      size += extra;
+    }
+    if (kept.length > 0) parts.push(title + '\n\n' + kept.join('\n\n'));
+  }
+
+  const notes = [];
+  if (examplesOmitted) notes.push('principle examples');
+  if (omitted.length > 0) notes.push(omitted.join(', '));
+  if (notes.length > 0) parts.push('(Left out to keep the prompt short: ' + notes.join('; ') + '. See architecture/.)');
+
+  return {
+    text: parts.join('\n\n'),
+    principles: selected.map(p => p.id),
+    patterns: patterns.map(p => p.id).filter(id => !omitted.includes(id)),
+    standards: standards.map(s => s.id).filter(id => !omitted.includes(id)),
+    unknown: unknown,
+    omitted: omitted,
+    examplesOmitted: examplesOmitted
+  };
+}
+
+// Features x principles matrix. Each cell combines the latest review of each role
+// (code review, QA): 'fail' if either failed the principle or raised a finding
+// against it, 'pass' if one passed it, else 'unchecked'. An approval without
+// explicit results passes every principle the feature references. Principles a
+// feature doesn't reference have no cell.
+function complianceReport(projectRoot) {
+  const principles = listPrinciples(projectRoot).map(p => ({
+    id: p.id,
+    name: p.name || '',
+    mandatory: p.enforcement === 'mandatory'
+  }));
+  const imported = getDocument(projectRoot, 'principles') !== null;
+  const known = new Set(principles.map(p => p.id));
+  const all = features.list(projectRoot);
+  const recorded = reviews.list(projectRoot);
+
+  const rows = all.map((f) => {
+    const cells = {};
+    for (const id of f.architecture_compliance) cells[id] = 'unchecked';
+    const latest = {};
+    for (const r of recorded) {
+      if (r.feature_id === f.id) latest[r.reviewer] = r;
+    }
+    for (const r of Object.values(latest)) {
+      const results = {};
+      if (r.verdict === 'approved') {
+        for (const id of f.architecture_compliance) results[id] = 'pass';
+      }
+      Object.assign(results, r.principles);
+      for (const finding of r.findings) {
+        if (finding.principle) results[finding.principle] = 'fail';
+      }
+      for (const [id, result] of Object.entries(results)) {
+        cells[id] = cells[id] === 'fail' || result === 'fail' ? 'fail' : 'pass';
+      }
+    }
+    return {
+      id: f.id,
+      description: f.description,
+      status: f.status,
+      cells: cells,
+      // Without a principles document every ID would be unknown
+      unknown: imported ? Object.keys(cells).filter(id => !known.has(id)) : []
+    };
+  });
+
+  const totals = {};
+  for (const p of principles) {
+    totals[p.id] = { pass: 0, fail: 0, unchecked: 0 };
+    for (const row of rows) {
+      if (row.cells[p.id]) totals[p.id][row.cells[p.id]]++;
+    }
+  }
+
+  return {
+    imported: imported,
+    principles: principles,
+    features: rows,
+    totals: totals,
+    unknown_references: rows.flatMap(row => row.unknown.map(id => ({ feature: row.id, principle: id }))),
+    unchecked_mandatory: principles
+      .filter(p => p.mandatory && totals[p.id].pass + totals[p.id].fail === 0)
+      .map(p => p.id)
+  };
+}
+
+// Helpers
+
+function principleBlock(p, withExamples) {
+  const lines = ['### ' + p.id + ': ' + (p.name || '') + (p.enforcement ? ' (' + p.enforcement + ')' : '')];
+  if (p.rule) lines.push('Rule: ' + p.rule);
+  if (p.language_pattern) lines.push('Language pattern: ' + p.language_pattern);
+  if (Array.isArray(p.verification_steps) && p.verification_steps.length > 0) {
+    lines.push('Verification steps:');
+    p.verification_steps.forEach((step, i) => lines.push((i + 1) + '. ' + step));
+  }
+  if (withExamples) {
+    if (Array.isArray(p.violation_examples) && p.violation_examples.length > 0) {
+      lines.push('Violations:', ...p.violation_examples.map(e => '- ' + e));
+    }
+    if (Array.isArray(p.compliant_examples) && p.compliant_examples.length > 0) {
+      lines.push('Compliant:', ...p.compliant_examples.map(e => '- ' + e));
+    }
+  }
+  return lines.join('\n');
+}
+
+function hasExamples(p) {
+  return (Array.isArray(p.violation_examples) && p.violation_examples.length > 0) ||
+    (Array.isArray(p.compliant_examples) && p.compliant_examples.length > 0);
+}
+
+function patternBlock(p) {
+  const lines = ['### ' + p.id + ': ' + (p.name || '')];
+  if (p.description) lines.push(p.description);
+  if (p.structure && typeof p.structure === 'object') {
+    lines.push('Structure:', ...Object.entries(p.structure).map(([k, v]) => '- ' + k + ': ' + v));
+  }
+  if (Array.isArray(p.rules) && p.rules.length > 0) lines.push('Rules:', ...p.rules.map(r => '- ' + r));
+  return lines.join('\n');
+}
+
+function standardBlock(s) {
+  const lines = ['### ' + s.id + ': ' + (s.name || '')];
+  if (Array.isArray(s.rules)) lines.push(...s.rules.map(r => '- ' + r));
+  return lines.join('\n');
+}
+
+module.exports = { FILES, importFiles, exportFiles, getDocument, listPrinciples, lint, promptContext, complianceReport };
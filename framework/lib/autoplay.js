@@ -11,12 +11,25 @@
  * Auto-merge mode:     merges automatically (--auto-merge flag)
  */
 
-const { spawnSync } = require('child_process');
+const { spawn, spawnSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const features = require('./features');
 const db = require('./db');
 const openspec = require('./openspec');
+const sessions = require('./sessions');
+const reviews = require('./reviews');
+const architecture = require('./architecture');
+const webhooks = require('./webhooks');
+const runners = require('./runners');
+const prompts = require('./prompts');
+const progress = require('./progress');
+
+const DEFAULT_PROMPTS = {
+  dev: 'agent-prompts/dev-agent-prompt.md',
+  review: 'agent-prompts/code-reviewer-prompt.md',
+  qa: 'agent-prompts/qa-agent-prompt.md'
+};
 
 function loadConfig(projectRoot) {
   const d = db.get(projectRoot);
@@ -33,73 +46,207 @@ function loadConfig(projectRoot) {
     safeMode: config.safe_mode !== 'false',
     openspecAutoArchive: config.openspec_auto_archive === 'true',
     openspecAutoImport: config.openspec_auto_import === 'true',
+    openspecSyncBack: config.openspec_sync_back === 'true',
+    openspecWatch: config.openspec_watch === 'true',
+    agentRunner: config.agent_runner || 'claude',
+    agentRunnerCommand: config.agent_runner_command || '',
+    agentRunnerScript: config.agent_runner_script || '',
+    runBudgetUsd: config.budget_usd_per_run ? parseFloat(config.budget_usd_per_run) : null,
+    promptArchitectureMaxChars: parseInt(config.prompt_architecture_max_chars || '12000', 10) || 0,
+    progressCompactThreshold: parseInt(config.progress_compact_threshold || '100', 10),
+    progressKeepRecent: parseInt(config.progress_keep_recent || '20', 10),
+    // Per-role keys such as model.review, max_agent_turns.qa, prompt.dev
+    agentSettings: Object.keys(config).filter(features.isAgentSettingKey).reduce(function(acc, key) {
+      acc[key] = config[key];
+      return acc;
+    }, {}),
     projectRoot
   };
 }
 
-function getNextAction(projectRoot, escalated) {
+// Effective model, turn budget and prompt file for one agent role. A value given
+// for this run (autoplay --model / --max-turns) wins; otherwise the most specific
+// setting: feature "key.role", feature "key", config "key.role", then the global
+// config (or the default prompt).
+function roleSettings(config, action, feature) {
+  var overrides = (feature && feature.agent_overrides) || {};
+  var settings = config.agentSettings || {};
+  var run = config.runOverrides || {};
+  function pick(key, fallback) {
+    var candidates = [run[key], overrides[key + '.' + action], overrides[key], settings[key + '.' + action]];
+    for (var i = 0; i < candidates.length; i++) {
+      if (candidates[i] !== undefined && candidates[i] !== '') return candidates[i];
+    }
+    return fallback;
+  }
+  return {
+    model: String(pick('model', config.model)),
+    maxAgentTurns: parseInt(pick('max_agent_turns', config.maxAgentTurns), 10) || config.maxAgentTurns,
+    prompt: String(pick('prompt', DEFAULT_PROMPTS[action] || ''))
+  };
+}
+
+// Prompt files a run needs: every agent role's, as configured and as overridden by
+// unfinished features. Returns { missing, invalid, warnings }: missing the files that
+// don't exist as [{ path, label }], invalid the templates that don't parse as
+// [{ path, label, error }], error being "file:line: message", and warnings the plain
+// prompt files that contain tags, which are sent as written.
+function checkProject(config) {
+  var missing = [];
+  var invalid = [];
+  var warnings = [];
+  var seen = [];
+  var unfinished = features.list(config.projectRoot).filter(function(f) { return f.status !== 'complete'; });
+  Object.keys(DEFAULT_PROMPTS).forEach(function(role) {
+    [null].concat(unfinished).forEach(function(feature) {
+      var file = roleSettings(config, role, feature).prompt;
+      if (seen.indexOf(file) !== -1) return;
+      seen.push(file);
+      var label = role + ' agent prompt' + (feature ? ' for ' + feature.id : '');
+      var filePath = path.resolve(config.projectRoot, file);
+      if (!fs.existsSync(filePath)) {
+        missing.push({ path: file, label: label });
+        return;
+      }
+      var text = fs.readFileSync(filePath, 'utf8');
+      if (!prompts.isTemplate(file)) {
+        if (prompts.hasTags(text)) warnings.push({ path: file, label: label });
+        return;
+      }
+      var error = prompts.check(text, { name: file });
+      if (error) invalid.push({ path: file, label: label, error: error.message });
+    });
+  });
+  return { missing: missing, invalid: invalid, warnings: warnings };
+}
+
+// skip: optional in-memory set of feature IDs to pass over this run (e.g. PRs waiting
+// on a human in safe mode). Escalations persisted in pipeline_state are always skipped.
+function getNextAction(projectRoot, skip) {
+  return getNextActions(projectRoot, { skip, limit: 1 })[0] || null;
+}
+
+// Up to `limit` actionable features in dependency order. With depsMerged, a feature
+// only qualifies once its dependencies are complete (merged), not merely passing QA.
+function getNextActions(projectRoot, { skip, limit, depsMerged } = {}) {
   const ordered = features.resolveOrder(projectRoot);
+  const escalated = new Set(features.listEscalated(projectRoot).map(s => s.feature_id));
+  const actions = [];
 
   for (const feature of ordered) {
+    if (limit && actions.length >= limit) break;
     // status: complete is authoritative — skip regardless of passes field
     if (feature.status === 'complete') continue;
     if (escalated.has(feature.id)) continue;
-    if (!features.depsAreMet(projectRoot, feature.id)) continue;
+    if (skip && skip.has(feature.id)) continue;
+    if (!features.depsAreMet(projectRoot, feature.id, { merged: depsMerged })) continue;
 
-    // QA passed but not yet PR'd/merged — route to PR creation
-    if (feature.passes) return { action: 'pr', feature };
-
-    const status = feature.status;
-    if (status === 'pending' || status === 'needs-revision') return { action: 'dev', feature };
-    if (status === 'ready-for-review') return { action: 'review', feature };
-    if (status === 'approved' || status === 'qa-testing') return { action: 'qa', feature };
-    if (status === 'pr-open') return { action: 'merge', feature };
-    return { action: 'dev', feature };
+    actions.push({ action: actionFor(feature), feature });
   }
 
-  return null;
+  return actions;
+}
+
+function actionFor(feature) {
+  const status = feature.status;
+  if (status === 'pr-open') return 'merge';
+
+  // QA passed but not yet PR'd/merged — route to PR creation
+  if (feature.passes) return 'pr';
+
+  if (status === 'pending' || status === 'needs-revision') return 'dev';
+  if (status === 'ready-for-review') return 'review';
+  if (status === 'approved' || status === 'qa-testing') return 'qa';
+  return 'dev';
 }
 
 function buildAgentPrompt(action, feature, config) {
-  const promptFile = {
-    dev: 'dev-agent-prompt.md',
-    review: 'code-reviewer-prompt.md',
-    qa: 'qa-agent-prompt.md'
-  }[action];
+  const rendered = renderAgentPrompt(action, feature, config);
+  return rendered ? rendered.text : null;
+}
 
-  if (!promptFile) return null;
+// Render the role's prompt file (see lib/prompts.js). Returns { text, context, missing,
+// templated }: context is the inlined architecture (or null), missing the template
+// variables that resolved to nothing, templated whether the file is a *.tmpl.md template.
+function renderAgentPrompt(action, feature, config) {
+  if (!DEFAULT_PROMPTS[action]) return null;
 
-  const promptPath = path.join(config.projectRoot, 'agent-prompts', promptFile);
+  const settings = roleSettings(config, action, feature);
+  const promptPath = path.resolve(config.projectRoot, settings.prompt);
   if (!fs.existsSync(promptPath)) {
     throw new Error('Agent prompt not found: ' + promptPath);
   }
 
   const agentPrompt = fs.readFileSync(promptPath, 'utf8');
-  const featureJson = JSON.stringify(feature, null, 2);
-
-  const tasks = {
-    dev: [
-      'Your assigned feature is ' + feature.id + ': "' + feature.description + '"',
-      feature.status === 'needs-revision'
-        ? 'This feature was REJECTED. Read git notes and claude-progress.txt for feedback. Fix the issues.'
-        : '',
-      'Feature details:\n' + featureJson,
-      'Implement with full architecture compliance. When done, set status to ready-for-review.'
-    ],
-    review: [
-      'Review feature ' + feature.id + ': "' + feature.description + '"',
-      'Feature details:\n' + featureJson,
-      'Execute ALL verification_steps for ALL principles. Approve or reject with specific evidence.'
-    ],
-    qa: [
-      'Test feature ' + feature.id + ': "' + feature.description + '"',
-      'Feature details:\n' + featureJson,
-      'Execute ALL verification_steps. If all pass: set passes true (do NOT set status to complete — the orchestrator handles that). If any fail: set status to needs-revision.'
-    ]
+  // Principles, patterns and standards for this feature, so agents don't spend turns reading them
+  const context = architecture.promptContext(config.projectRoot, feature, { maxChars: config.promptArchitectureMaxChars });
+  const needsRevision = feature.status === 'needs-revision';
+  const vars = {
+    feature: feature,
+    feature_json: JSON.stringify(feature, null, 2),
+    role: action,
+    model: settings.model,
+    max_turns: settings.maxAgentTurns,
+    needs_revision: needsRevision,
+    revision_feedback: needsRevision ? revisionFeedback(config.projectRoot, feature) : '',
+    principles: context ? context.text : '',
+    review: reviewContext(config.projectRoot, feature),
+    cli: 'node .framework/bin/framework.js -p .'
+  };
+  const missing = [];
+  const render = (template, name) => {
+    const result = prompts.render(template, vars, { name: name });
+    result.missing.forEach(v => { if (!missing.includes(v)) missing.push(v); });
+    return result.text;
+  };
+
+  vars.task = render(prompts.TASKS[action], 'default ' + action + ' task');
+  const templated = prompts.isTemplate(settings.prompt);
+  const text = templated
+    ? render(agentPrompt, settings.prompt)
+    : prompts.render(prompts.LAYOUT, Object.assign({ prompt: agentPrompt }, vars)).text;
+  return { text: text, context: context, missing: missing, templated: templated };
+}
+
+// Review state for prompt templates: findings is the open findings as lines,
+// open the same as objects, summary and results from the latest reviews
+function reviewContext(projectRoot, feature) {
+  var label = { review: 'code review', qa: 'QA' };
+  var open = reviews.openFindings(projectRoot, feature.id);
+  var all = reviews.list(projectRoot, { featureId: feature.id });
+  var scored = all.filter(function(r) { return Object.keys(r.principles).length > 0; }).pop();
+  var latest = all[all.length - 1];
+  return {
+    findings: open.map(function(f) {
+      return '- ' + reviews.formatFinding(f) + ' (' + label[f.reviewer] + ', finding #' + f.id + ')';
+    }).join('\n'),
+    open: open.map(function(f) {
+      return { id: f.id, principle: f.principle, file: f.file, line: f.line, message: f.message, reviewer: label[f.reviewer] };
+    }),
+    verdict: latest ? latest.verdict : '',
+    summary: latest ? latest.summary : '',
+    results: scored ? Object.keys(scored.principles).map(function(id) { return id + ' ' + scored.principles[id]; }).join(', ') : ''
   };
+}
 
-  const task = tasks[action].filter(Boolean).join('\n');
-  return agentPrompt + '\n\n=== YOUR TASK THIS SESSION ===\n\n' + task;
+// Rejection feedback for the dev: open review findings and the latest principle results
+function revisionFeedback(projectRoot, feature) {
+  var open = reviews.openFindings(projectRoot, feature.id);
+  if (open.length === 0) {
+    return 'This feature was REJECTED. Read git notes and claude-progress.txt for feedback. Fix the issues.';
+  }
+
+  var label = { review: 'code review', qa: 'QA' };
+  var review = reviewContext(projectRoot, feature);
+  var lines = ['This feature was REJECTED. Fix every open finding below; the next review re-checks them all.', 'Open findings:', review.findings];
+  var all = reviews.list(projectRoot, { featureId: feature.id });
+  all.forEach(function(r) {
+    var raised = open.some(function(f) { return f.review_id === r.id; });
+    if (raised && r.summary) lines.push('Summary of ' + label[r.reviewer] + ' #' + r.id + ': ' + r.summary);
+  });
+  var scored = all.filter(function(r) { return Object.keys(r.principles).length > 0; }).pop();
+  if (scored) lines.push('Principle results from the latest ' + label[scored.reviewer] + ': ' + review.results);
+  return lines.join('\n');
 }
 
 // Run a git command and return stdout
@@ -108,15 +255,28 @@ function git(args, cwd) {
   return { code: result.status, stdout: (result.stdout || '').trim(), stderr: (result.stderr || '').trim() };
 }
 
-// Create PR for a feature (orchestrator handles this since no agent does it)
-function createPR(feature, config) {
-  var cwd = config.projectRoot;
+// Create PR for a feature (orchestrator handles this since no agent does it).
+// opts.cwd: checkout the feature branch lives in (a worktree in parallel mode).
+function createPR(feature, config, opts) {
+  var cwd = (opts && opts.cwd) || config.projectRoot;
   var branch = 'feature/' + feature.id.toLowerCase();
 
   console.log('\n' + '-'.repeat(50));
   console.log('Creating PR for ' + feature.id);
   console.log('-'.repeat(50) + '\n');
 
+  var session = sessions.start(config.projectRoot, { role: 'pr', featureId: feature.id, statusBefore: feature.status });
+
+  var problem = features.checkTransition(feature, { status: 'pr-open' });
+  if (problem) {
+    sessions.finish(config.projectRoot, session.id, {
+      exitCode: null, statusAfter: feature.status, outcome: 'ERROR', notes: problem
+    });
+    console.log(problem);
+    features.escalate(config.projectRoot, feature.id, problem);
+    return false;
+  }
+
   // Check that origin remote exists before attempting push
   var remoteCheck = git(['remote', 'get-url', 'origin'], cwd);
   var hasOrigin = remoteCheck.code === 0;
@@ -133,30 +293,47 @@ function createPR(feature, config) {
   }
 
   // Create PR using gh if available
+  var reason = 'gh CLI not available';
   var ghCheck = spawnSync('gh', ['--version'], { encoding: 'utf8' });
   if (ghCheck.status === 0) {
+    // stderr is captured (and still shown) so a failure can be recorded with the session
     var prResult = spawnSync('gh', [
       'pr', 'create',
       '--title', feature.id + ': ' + feature.description,
       '--body', 'Feature ' + feature.id + ' — QA passed, ready for merge.\n\nArchitecture compliance verified.\nAll verification steps passed.'
-    ], { cwd: cwd, encoding: 'utf8', stdio: 'inherit' });
+    ], { cwd: cwd, encoding: 'utf8', stdio: ['inherit', 'inherit', 'pipe'] });
+    if (prResult.stderr) process.stderr.write(prResult.stderr);
 
     if (prResult.status === 0) {
       features.update(config.projectRoot, feature.id, { status: 'pr-open' });
+      sessions.finish(config.projectRoot, session.id, {
+        exitCode: 0, statusAfter: 'pr-open', outcome: 'PR_OPENED', notes: 'gh pr create on ' + branch
+      });
+      webhooks.emit(config.projectRoot, 'pr.opened', { feature_id: feature.id, description: feature.description, branch: branch, via: 'gh' });
       console.log(feature.id + ': PR created, status -> pr-open');
+      maybeSyncBack(feature, config);
       return true;
     }
+    var output = (prResult.stderr || '').trim();
+    reason = 'gh pr create failed: ' + (output || (prResult.error ? prResult.error.message : 'exit code ' + prResult.status));
   }
 
   // Fallback: just update status, user creates PR manually
   features.update(config.projectRoot, feature.id, { status: 'pr-open' });
-  console.log(feature.id + ': status -> pr-open (create PR manually, gh CLI not available)');
+  sessions.finish(config.projectRoot, session.id, {
+    exitCode: 0, statusAfter: 'pr-open', outcome: 'PR_OPENED', notes: reason + ', PR to be created manually from ' + branch
+  });
+  webhooks.emit(config.projectRoot, 'pr.opened', { feature_id: feature.id, description: feature.description, branch: branch, via: 'manual' });
+  console.log(feature.id + ': status -> pr-open (create PR manually, ' + reason + ')');
+  maybeSyncBack(feature, config);
   return true;
 }
 
-// Merge PR for a feature
-function mergePR(feature, config) {
+// Merge PR for a feature. opts.cwd as for createPR; the local merge fallback always
+// runs in the main checkout.
+function mergePR(feature, config, opts) {
   var cwd = config.projectRoot;
+  var branchCwd = (opts && opts.cwd) || cwd;
 
   if (!config.autoMerge) {
     console.log(feature.id + ': PR open. Safe mode — waiting for human to merge.');
@@ -167,15 +344,22 @@ function mergePR(feature, config) {
   console.log('Merging PR for ' + feature.id);
   console.log('-'.repeat(50) + '\n');
 
+  var session = sessions.start(config.projectRoot, { role: 'merge', featureId: feature.id, statusBefore: feature.status });
+
   var ghCheck = spawnSync('gh', ['--version'], { encoding: 'utf8' });
   if (ghCheck.status === 0) {
     var mergeResult = spawnSync('gh', ['pr', 'merge', '--merge', '--delete-branch'], {
-      cwd: cwd, encoding: 'utf8', stdio: 'inherit'
+      cwd: branchCwd, encoding: 'utf8', stdio: 'inherit'
     });
 
     if (mergeResult.status === 0) {
       features.update(config.projectRoot, feature.id, { status: 'complete' });
+      sessions.finish(config.projectRoot, session.id, {
+        exitCode: 0, statusAfter: 'complete', outcome: 'MERGED', notes: 'gh pr merge'
+      });
+      webhooks.emit(config.projectRoot, 'pr.merged', { feature_id: feature.id, description: feature.description, via: 'gh' });
       console.log(feature.id + ': merged, status -> complete');
+      maybeSyncBack(feature, config);
       maybeAutoArchive(feature, config);
       return true;
     }
@@ -188,11 +372,19 @@ function mergePR(feature, config) {
   var mergeGit = git(['merge', '--no-ff', branch], cwd);
   if (mergeGit.code === 0) {
     features.update(config.projectRoot, feature.id, { status: 'complete' });
+    sessions.finish(config.projectRoot, session.id, {
+      exitCode: 0, statusAfter: 'complete', outcome: 'MERGED', notes: 'merged locally into ' + mainBranch
+    });
+    webhooks.emit(config.projectRoot, 'pr.merged', { feature_id: feature.id, description: feature.description, via: 'local', branch: mainBranch });
     console.log(feature.id + ': merged to ' + mainBranch + ', status -> complete');
+    maybeSyncBack(feature, config);
     maybeAutoArchive(feature, config);
     return true;
   }
 
+  sessions.finish(config.projectRoot, session.id, {
+    exitCode: mergeGit.code, statusAfter: feature.status, outcome: 'MERGE_FAILED', notes: mergeGit.stderr
+  });
   console.log(feature.id + ': merge failed. Needs human intervention.');
   return false;
 }
@@ -208,6 +400,19 @@ function maybeAutoArchive(feature, config) {
   }
 }
 
+// Sync-back: after a feature's status changes, tick or annotate its task group in
+// the OpenSpec change's tasks.md. Runs before auto-archive moves the change away.
+function maybeSyncBack(feature, config) {
+  if (!config.openspecSyncBack) return;
+  if (!feature.openspec_change_id) return;
+  var result = openspec.syncBack(feature.openspec_change_id, config.projectRoot);
+  if (!result.ok) {
+    console.log('  OpenSpec sync-back failed: ' + result.error);
+  } else if (result.changed) {
+    console.log('  OpenSpec ' + result.file + ' updated.');
+  }
+}
+
 // Auto-import: at autoplay start, import any new OpenSpec changes into the pipeline.
 function runAutoImport(config) {
   if (!config.openspecAutoImport) return;
@@ -233,38 +438,249 @@ function runAutoImport(config) {
   console.log('');
 }
 
-// Orchestrator fallback: spawn individual claude -p sessions
-function runAgentSession(action, feature, config) {
-  var prompt = buildAgentPrompt(action, feature, config);
-  if (!prompt) return { code: 1 };
+// Watch: while an orchestrator run is going, re-import OpenSpec changes as they
+// are written, so new features join the run. Returns the watcher, to stop at the
+// end of the run, or null.
+function startOpenspecWatch(config) {
+  if (!config.openspecWatch) return null;
+  console.log('Watching openspec/changes/ for new and edited changes.');
+  console.log('');
+  return openspec.watchChanges(config.projectRoot, {
+    onImport: function(change, result) {
+      if (!result.ok) {
+        console.log('OpenSpec change "' + change + '" not imported: ' + result.error);
+      } else if (result.created.length + result.updated.length > 0) {
+        console.log('OpenSpec change "' + change + '" imported: ' + result.created.length + ' created, ' +
+          result.updated.length + ' updated');
+      }
+    }
+  });
+}
+
+// Move a feature into the working status for the agent about to run, so the
+// agent's own update (ready-for-review, passes) is a legal transition.
+function claimFeature(action, feature, config) {
+  var working = { dev: 'in-dev', qa: 'qa-testing' }[action];
+  if (!working || feature.status === working) return feature;
+  if (features.checkTransition(feature, { status: working })) return feature;
+  return features.update(config.projectRoot, feature.id, { status: working });
+}
+
+// Prepare an agent session: build the prompt, claim the feature and record the
+// session start. Returns null if the action has no agent, or if the prompt template
+// has a syntax error (the feature is escalated; the rest of the run goes on).
+function beginAgentSession(action, feature, config) {
+  var prompt;
+  try {
+    prompt = buildAgentPrompt(action, feature, config);
+  } catch (err) {
+    if (err.code !== 'TEMPLATE_SYNTAX') throw err;
+    console.log(feature.id + ': prompt template error, ' + err.message + '. Escalating.');
+    features.escalate(config.projectRoot, feature.id, 'prompt template error: ' + err.message);
+    return null;
+  }
+  if (!prompt) return null;
 
-  var label = { dev: 'Dev Agent', review: 'Code Reviewer', qa: 'QA Agent' }[action];
+  // Prompt is built from the pre-claim status so revision context is kept, and the
+  // session records that status too: the claim is bookkeeping, not the agent's work
+  var statusBefore = feature.status;
+  feature = claimFeature(action, feature, config);
+
+  var settings = roleSettings(config, action, feature);
+  var session = sessions.start(config.projectRoot, {
+    role: action, featureId: feature.id, statusBefore: statusBefore, model: settings.model, log: true
+  });
+  var spec = runners.build({ action: action, feature: feature, prompt: prompt, settings: settings, config: config });
+
+  return {
+    action: action,
+    feature: feature,
+    session: session,
+    label: { dev: 'Dev Agent', review: 'Code Reviewer', qa: 'QA Agent' }[action] +
+      (config.agentRunner !== 'claude' ? ' (' + config.agentRunner + ' runner)' : ''),
+    settings: settings,
+    command: spec.command,
+    args: spec.args,
+    env: Object.assign({}, process.env, spec.env),
+    cleanup: spec.cleanup,
+    reportsUsage: Boolean(spec.reportsUsage)
+  };
+}
+
+// Record how an agent session ended. `error` is a spawn failure, if any; `usage`
+// is what the runner reported (see runners.formatOutputLine).
+function endAgentSession(begun, config, code, signal, error, usage) {
+  if (begun.cleanup) begun.cleanup();
+  var feature = begun.feature;
+  var after = features.get(config.projectRoot, feature.id);
+  sessions.finish(config.projectRoot, begun.session.id, {
+    exitCode: code,
+    statusAfter: after ? after.status : '',
+    outcome: sessionOutcome(begun.action, feature, after, code),
+    notes: error ? error.message : (signal ? 'killed by ' + signal : ''),
+    usage: usage
+  });
+  if (usage && usage.costUsd !== undefined) {
+    console.log(feature.id + ': session cost $' + usage.costUsd.toFixed(4) +
+      (usage.inputTokens !== undefined ? ' (' + usage.inputTokens + ' in / ' + usage.outputTokens + ' out tokens)' : ''));
+  }
+
+  return { code: code, signal: signal, sessionId: begun.session.id, statusBefore: feature.status };
+}
+
+// Run a prepared agent session. Output goes to the terminal, each line tagged with
+// opts.prefix, and to the session's transcript (.framework/logs/<feature>/<n>.log).
+// Resolves to endAgentSession's summary once the process exits.
+function spawnAgent(begun, config, opts) {
+  var prefix = (opts && opts.prefix) || '';
+  var cwd = (opts && opts.cwd) || config.projectRoot;
+  var usage;
+
+  var logFd = null;
+  if (begun.session.log_path) {
+    var logFile = path.join(config.projectRoot, begun.session.log_path);
+    fs.mkdirSync(path.dirname(logFile), { recursive: true });
+    logFd = fs.openSync(logFile, 'a');
+    fs.writeSync(logFd, '# Session #' + begun.session.session_number + ': ' + begun.label + ' on ' + begun.feature.id +
+      ' (' + begun.settings.model + '), started ' + begun.session.started_at + ' UTC\n\n');
+  }
+
+  function output(out) {
+    return function(line) {
+      var formatted = begun.reportsUsage ? runners.formatOutputLine(line) : { text: line };
+      if (formatted.usage) usage = formatted.usage;
+      if (formatted.text === null) return;
+      formatted.text.split('\n').forEach(function(part) {
+        out.write(prefix + part + '\n');
+        if (logFd !== null) fs.writeSync(logFd, part + '\n');
+      });
+    };
+  }
+
+  return new Promise(function(resolve) {
+    var proc = spawn(begun.command, begun.args, {
+      cwd: cwd,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: begun.env
+    });
+    var spawnError = null;
+
+    forEachLine(proc.stdout, output(process.stdout));
+    forEachLine(proc.stderr, output(process.stderr));
+
+    proc.on('error', function(err) { spawnError = err; });
+    proc.on('close', function(code, signal) {
+      if (logFd !== null) {
+        fs.writeSync(logFd, '\n# Exited with ' + (signal || code) + (spawnError ? ': ' + spawnError.message : '') + '\n');
+        fs.closeSync(logFd);
+      }
+      resolve(endAgentSession(begun, config, code, signal, spawnError, usage));
+    });
+  });
+}
+
+// Call fn for each complete line of a stream, and for the last partial one at the end
+function forEachLine(stream, fn) {
+  var pending = '';
+  stream.setEncoding('utf8');
+  stream.on('data', function(chunk) {
+    pending += chunk;
+    var lines = pending.split('\n');
+    pending = lines.pop();
+    lines.forEach(fn);
+  });
+  stream.on('end', function() {
+    if (pending) fn(pending);
+  });
+}
+
+// Orchestrator fallback: spawn one agent session through the configured runner
+function runAgentSession(action, feature, config) {
+  var begun = beginAgentSession(action, feature, config);
+  if (!begun) return Promise.resolve(null);
 
   console.log('\n' + '-'.repeat(50));
-  console.log('Spawning: ' + label + ' for ' + feature.id);
+  console.log('Spawning: ' + begun.label + ' for ' + feature.id);
+  console.log('Model: ' + begun.settings.model + ', max turns: ' + begun.settings.maxAgentTurns);
+  console.log('Transcript: ' + begun.session.log_path);
   console.log('-'.repeat(50) + '\n');
 
-  var result = spawnSync('claude', [
-    '-p', prompt,
-    '--max-turns', String(config.maxAgentTurns),
-    '--model', config.model,
-    '--output-format', 'text'
-  ], {
-    cwd: config.projectRoot,
-    stdio: 'inherit',
-    env: process.env
-  });
+  return spawnAgent(begun, config);
+}
+
+// Rejection retry budget: counts a dev session that starts from needs-revision.
+// Returns false (and escalates) once the budget is spent.
+function consumeRetry(projectRoot, action, feature, config) {
+  if (action !== 'dev' || feature.status !== 'needs-revision') return true;
+  var attempt = features.bumpCounter(projectRoot, feature.id, 'retries');
+  if (attempt > config.maxRetries) {
+    console.log(feature.id + ' rejected ' + attempt + ' times. Escalating.');
+    features.escalate(projectRoot, feature.id, 'rejected ' + attempt + ' times');
+    return false;
+  }
+  console.log(feature.id + ': retry ' + attempt + '/' + config.maxRetries);
+  return true;
+}
+
+// Checked before every agent session. A feature that has spent its budget_usd is
+// escalated; once the run budget is spent the run stops spawning agents.
+// Returns null, 'feature' or 'run'.
+function checkBudget(projectRoot, feature, config) {
+  if (config.runBudgetUsd !== null && config.runBudgetUsd !== undefined) {
+    var runCost = sessions.totalCost(projectRoot, { sinceId: config.runStartSessionId });
+    if (runCost >= config.runBudgetUsd) {
+      console.log('Run budget reached: $' + runCost.toFixed(2) + ' of $' + config.runBudgetUsd.toFixed(2) + '. No more agent sessions this run.');
+      return 'run';
+    }
+  }
+  if (feature.budget_usd !== null && feature.budget_usd !== undefined) {
+    var spent = sessions.totalCost(projectRoot, { featureId: feature.id });
+    if (spent >= feature.budget_usd) {
+      var reason = 'budget exceeded: $' + spent.toFixed(2) + ' of $' + feature.budget_usd.toFixed(2);
+      console.log(feature.id + ': ' + reason + '. Escalating.');
+      features.escalate(projectRoot, feature.id, reason);
+      return 'feature';
+    }
+  }
+  return null;
+}
+
+// After an agent session: count a stall if it left the feature untouched. run is
+// null when no session was started.
+function checkProgress(projectRoot, action, feature, run, config) {
+  if (!run) return;
+  var updated = features.get(projectRoot, feature.id);
+  if (!updated || updated.status !== run.statusBefore || updated.passes !== feature.passes) return;
+
+  console.log(feature.id + ': status unchanged after ' + action + '. Agent may have stalled.');
+  var stalls = features.bumpCounter(projectRoot, feature.id, 'stalls');
+  if (stalls > config.maxRetries) {
+    console.log(feature.id + ' stalled ' + stalls + ' times. Escalating.');
+    features.escalate(projectRoot, feature.id, 'status unchanged after ' + stalls + ' ' + action + ' sessions');
+  }
+}
 
-  return { code: result.status, signal: result.signal };
+// Classify a finished agent session from the feature state it left behind
+function sessionOutcome(action, before, after, code) {
+  if (!after || (code !== 0 && after.status === before.status)) return 'ERROR';
+  if (action === 'qa' && after.passes && !before.passes) return 'PASSED';
+  if (after.status === before.status) return 'STALLED';
+  if (after.status === 'needs-revision') return action === 'qa' ? 'FAILED' : 'REJECTED';
+  if (action === 'dev' && after.status === 'ready-for-review') return 'IMPLEMENTED';
+  if (action === 'review' && after.status === 'approved') return 'APPROVED';
+  return 'CHANGED';
 }
 
 // Team mode: generate instructions for Claude Code Agent Teams
 function generateTeamInstructions(projectRoot, config) {
   runAutoImport(config);
+  compactProgress(config);
   var ordered = features.resolveOrder(projectRoot);
-  // Filter: not complete AND deps met
+  var escalated = new Set(features.listEscalated(projectRoot).map(function(s) { return s.feature_id; }));
+  // Filter: not complete, not escalated AND deps met
   var actionable = ordered.filter(function(f) {
     if (f.status === 'complete') return false;
+    if (escalated.has(f.id)) return false;
     return features.depsAreMet(projectRoot, f.id);
   });
 
@@ -313,8 +729,8 @@ function generateTeamInstructions(projectRoot, config) {
 // Guided mode: show the human what to do next
 function runGuidedMode(projectRoot) {
   var config = loadConfig(projectRoot);
-  var escalated = new Set();
   var all = features.list(projectRoot);
+  var escalated = new Set(features.listEscalated(projectRoot).map(function(s) { return s.feature_id; }));
 
   // Print status
   var counts = {};
@@ -326,31 +742,37 @@ function runGuidedMode(projectRoot) {
     counts[s] = (counts[s] || 0) + 1;
     var icon = { complete: '*', pending: 'o', 'in-dev': '>', 'ready-for-review': 'R', approved: 'A', 'needs-revision': 'x', 'qa-testing': 'T', 'pr-open': 'P' }[s] || '?';
     var deps = f.depends_on.length > 0 ? ' [needs: ' + f.depends_on.join(', ') + ']' : '';
-    console.log('  ' + icon + ' ' + f.id + ': ' + f.description + ' - ' + s + deps);
+    var esc = escalated.has(f.id) ? ' [ESCALATED]' : '';
+    console.log('  ' + icon + ' ' + f.id + ': ' + f.description + ' - ' + s + esc + deps);
   }
   var done = counts.complete || 0;
   console.log('\n  ' + done + '/' + all.length + ' complete\n');
 
   // Next action
-  var next = getNextAction(projectRoot, escalated);
+  var next = getNextAction(projectRoot);
   if (!next) {
     var allDone = all.every(function(f) { return f.status === 'complete'; });
     console.log(allDone ? 'All features complete.' : 'All remaining features are blocked or escalated.');
+    if (escalated.size > 0) {
+      console.log('Escalated (need human): ' + Array.from(escalated).join(', '));
+      console.log('Reset with: node .framework/bin/framework.js -p . feature unescalate <id>');
+    }
     return;
   }
 
   var action = next.action;
   var feature = next.feature;
   var labels = { dev: 'Dev Agent', review: 'Code Reviewer', qa: 'QA Agent', pr: 'Create PR', merge: 'Merge PR' };
-  var promptFiles = { dev: 'dev-agent-prompt.md', review: 'code-reviewer-prompt.md', qa: 'qa-agent-prompt.md' };
+  var settings = roleSettings(config, action, feature);
 
   console.log('=== NEXT STEP ===\n');
   console.log('  Feature:  ' + feature.id + ' - ' + feature.description);
   console.log('  Status:   ' + feature.status);
   console.log('  Action:   ' + (labels[action] || action));
 
-  if (promptFiles[action]) {
-    console.log('  Prompt:   agent-prompts/' + promptFiles[action]);
+  if (DEFAULT_PROMPTS[action]) {
+    console.log('  Prompt:   ' + settings.prompt);
+    console.log('  Model:    ' + settings.model);
   }
 
   if (feature.status === 'needs-revision') {
@@ -371,36 +793,57 @@ function runGuidedMode(projectRoot) {
     }
   } else {
     console.log('  Open a Claude Code session and tell it:');
-    console.log('  "Read agent-prompts/' + promptFiles[action] + ' for your instructions.');
+    console.log('  "Read ' + settings.prompt + ' for your instructions.');
     console.log('   Your assigned feature is ' + feature.id + '."\n');
   }
 }
 
-// Orchestrator fallback auto mode — full pipeline including PR/merge
-function runOrchestratorMode(projectRoot) {
-  var config = loadConfig(projectRoot);
-  var retries = {};
-  var escalated = new Set();
+// End-of-run summary for the pipeline.finished webhook
+function emitPipelineFinished(config, mode, waiting) {
+  var projectRoot = config.projectRoot;
+  var all = features.list(projectRoot);
+  var complete = all.filter(function(f) { return f.status === 'complete'; }).length;
+  return webhooks.emit(projectRoot, 'pipeline.finished', {
+    mode: mode,
+    complete: complete,
+    total: all.length,
+    all_complete: complete === all.length,
+    waiting_for_merge: Array.from(waiting || []),
+    escalated: features.listEscalated(projectRoot).map(function(s) { return s.feature_id; }),
+    budget_reached: Boolean(config.budgetReached),
+    run_cost_usd: sessions.totalCost(projectRoot, { sinceId: config.runStartSessionId })
+  });
+}
+
+// Orchestrator fallback auto mode — full pipeline including PR/merge.
+// opts.budgetUsd overrides budget_usd_per_run.
+async function runOrchestratorMode(projectRoot, opts) {
+  var config = startRun(projectRoot, opts);
+  var waiting = new Set(); // PRs left for a human to merge this run (safe mode)
 
   console.log('=== AUTOPLAY: ORCHESTRATOR MODE ===');
   console.log('Model: ' + config.model);
+  console.log('Agent runner: ' + config.agentRunner);
   console.log('Max retries: ' + config.maxRetries);
   console.log('Safe mode: ' + config.safeMode);
+  if (config.runBudgetUsd !== null) console.log('Run budget: $' + config.runBudgetUsd.toFixed(2));
   console.log('');
 
   runAutoImport(config);
+  var watcher = startOpenspecWatch(config);
+
+  var previouslyEscalated = features.listEscalated(projectRoot);
+  if (previouslyEscalated.length > 0) {
+    console.log('Skipping escalated features: ' + previouslyEscalated.map(function(s) { return s.feature_id; }).join(', '));
+    console.log('');
+  }
 
   while (true) {
-    var next = getNextAction(projectRoot, escalated);
-    if (!next) {
-      var all = features.list(projectRoot);
-      var complete = all.filter(function(f) { return f.status === 'complete'; }).length;
-      console.log('\nNo actionable features. ' + complete + '/' + all.length + ' complete.');
-      if (escalated.size > 0) {
-        console.log('Escalated (need human): ' + Array.from(escalated).join(', '));
-      }
-      break;
-    }
+    // Let the last step's deliveries (and their retries) land before the next step
+    // emits, so receivers see events in order and a slow endpoint can't pile them up
+    await webhooks.flush();
+    var next = getNextAction(projectRoot, waiting);
+    if (!next) break;
 
     var action = next.action;
     var feature = next.feature;
@@ -414,49 +857,93 @@ function runOrchestratorMode(projectRoot) {
     // Merge step — orchestrator handles this directly
     if (action === 'merge') {
       if (!mergePR(feature, config)) {
-        // Safe mode or merge failed — stop pipeline for this feature
-        if (config.safeMode) {
+        // Safe mode or merge failed — stop pipeline for this feature. Waiting on a human
+        // merge is per-run; a failed auto-merge is a persisted escalation.
+        if (config.safeMode || !config.autoMerge) {
           console.log(feature.id + ': safe mode — skipping merge, moving to next feature.');
-          escalated.add(feature.id);
+          waiting.add(feature.id);
+        } else {
+          features.escalate(projectRoot, feature.id, 'merge failed');
         }
       }
       continue;
     }
 
-    // Retry tracking for dev on rejection
-    if (action === 'dev' && feature.status === 'needs-revision') {
-      retries[feature.id] = (retries[feature.id] || 0) + 1;
-      if (retries[feature.id] > config.maxRetries) {
-        console.log(feature.id + ' rejected ' + retries[feature.id] + ' times. Escalating.');
-        escalated.add(feature.id);
-        continue;
-      }
-      console.log(feature.id + ': retry ' + retries[feature.id] + '/' + config.maxRetries);
+    var overBudget = checkBudget(projectRoot, feature, config);
+    if (overBudget === 'run') {
+      config.budgetReached = true;
+      break;
     }
+    if (overBudget) continue;
 
-    var statusBefore = feature.status;
-    runAgentSession(action, feature, config);
+    // Retry tracking for dev on rejection
+    if (!consumeRetry(projectRoot, action, feature, config)) continue;
 
-    // Reload and check
-    var updated = features.get(projectRoot, feature.id);
-    if (updated && updated.status === statusBefore) {
-      console.log(feature.id + ': status unchanged after ' + action + '. Agent may have stalled.');
-      retries[feature.id] = (retries[feature.id] || 0) + 1;
-      if (retries[feature.id] > config.maxRetries) {
-        escalated.add(feature.id);
-      }
-    }
+    compactProgress(config);
+    var run = await runAgentSession(action, feature, config);
+    checkProgress(projectRoot, action, feature, run, config);
+    maybeSyncBack(feature, config);
+  }
+  if (watcher) watcher.stop();
+
+  var all = features.list(projectRoot);
+  var complete = all.filter(function(f) { return f.status === 'complete'; }).length;
+  console.log('\n' + (config.budgetReached ? 'Stopped at run budget. ' : 'No actionable features. ') + complete + '/' + all.length + ' complete.');
+  if (waiting.size > 0) {
+    console.log('Waiting for human merge: ' + Array.from(waiting).join(', '));
   }
+  var escalated = features.listEscalated(projectRoot);
+  if (escalated.length > 0) {
+    console.log('Escalated (need human): ' + escalated.map(function(s) { return s.feature_id; }).join(', '));
+  }
+  console.log('Run cost: $' + sessions.totalCost(projectRoot, { sinceId: config.runStartSessionId }).toFixed(4));
+  await emitPipelineFinished(config, 'orchestrator', waiting);
+}
+
+// Keep claude-progress.txt short enough to read at the start of every session
+function compactProgress(config) {
+  var result = progress.compact(config.projectRoot, { threshold: config.progressCompactThreshold, keepRecent: config.progressKeepRecent });
+  if (result) console.log('Progress compacted: ' + result.before + ' -> ' + result.after + ' lines');
+}
+
+// Config for one autoplay run: budget, model and turn overrides, and the session
+// watermark that run cost is counted from
+function startRun(projectRoot, opts) {
+  var config = loadConfig(projectRoot);
+  if (opts && opts.budgetUsd !== undefined && opts.budgetUsd !== null) config.runBudgetUsd = opts.budgetUsd;
+  config.runOverrides = {};
+  if (opts && opts.model) config.runOverrides.model = config.model = opts.model;
+  if (opts && opts.maxTurns) config.runOverrides.max_agent_turns = config.maxAgentTurns = opts.maxTurns;
+  if (opts && opts.watchOpenspec) config.openspecWatch = true;
+  config.runStartSessionId = sessions.lastId(projectRoot);
+  config.budgetReached = false;
+  return config;
 }
 
 module.exports = {
   loadConfig,
+  roleSettings,
+  checkProject,
   getNextAction,
+  getNextActions,
   generateTeamInstructions,
   runOrchestratorMode,
   runGuidedMode,
   buildAgentPrompt,
+  renderAgentPrompt,
   createPR,
   mergePR,
-  runAutoImport
+  runAutoImport,
+  startOpenspecWatch,
+  maybeSyncBack,
+  beginAgentSession,
+  endAgentSession,
+  spawnAgent,
+  consumeRetry,
+  checkBudget,
+  checkProgress,
+  compactProgress,
+  startRun,
+  emitPipelineFinished,
+  git
 };
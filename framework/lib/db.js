@@ -18,6 +18,8 @@ function open(projectRoot) {
   _db = new Database(dbFile);
   _db.pragma('journal_mode = WAL');
   _db.pragma('foreign_keys = ON');
+  // Agents and parallel workers write from their own processes: wait for the lock
+  _db.pragma('busy_timeout = 5000');
 
   // Migrate existing DBs first (adds columns schema.sql index depends on)
   const tableExists = _db.prepare(
@@ -44,15 +46,55 @@ function migrate(database) {
   if (!cols.includes('openspec_task_group')) {
     database.exec("ALTER TABLE features ADD COLUMN openspec_task_group INTEGER NOT NULL DEFAULT 0");
   }
+  if (!cols.includes('agent_overrides')) {
+    database.exec("ALTER TABLE features ADD COLUMN agent_overrides TEXT NOT NULL DEFAULT '{}'");
+  }
+  if (!cols.includes('budget_usd')) {
+    database.exec("ALTER TABLE features ADD COLUMN budget_usd REAL");
+  }
+  if (!cols.includes('scenarios')) {
+    database.exec("ALTER TABLE features ADD COLUMN scenarios TEXT NOT NULL DEFAULT '[]'");
+  }
   // Ensure partial unique index exists (safe to re-run, CREATE IF NOT EXISTS)
   database.exec(`
     CREATE UNIQUE INDEX IF NOT EXISTS idx_openspec_upsert
       ON features(openspec_change_id, openspec_task_group)
       WHERE openspec_change_id != ''
   `);
+  // Session tracking columns (SQLite ADD COLUMN needs a constant default)
+  const sessionCols = database.prepare("PRAGMA table_info(sessions)").all().map(c => c.name);
+  if (sessionCols.length > 0) {
+    if (!sessionCols.includes('status_before')) {
+      database.exec("ALTER TABLE sessions ADD COLUMN status_before TEXT NOT NULL DEFAULT ''");
+    }
+    if (!sessionCols.includes('status_after')) {
+      database.exec("ALTER TABLE sessions ADD COLUMN status_after TEXT NOT NULL DEFAULT ''");
+    }
+    if (!sessionCols.includes('exit_code')) {
+      database.exec("ALTER TABLE sessions ADD COLUMN exit_code INTEGER");
+    }
+    if (!sessionCols.includes('started_at')) {
+      database.exec("ALTER TABLE sessions ADD COLUMN started_at TEXT NOT NULL DEFAULT ''");
+      database.exec("UPDATE sessions SET started_at = created_at WHERE started_at = ''");
+    }
+    if (!sessionCols.includes('ended_at')) {
+      database.exec("ALTER TABLE sessions ADD COLUMN ended_at TEXT");
+    }
+    if (!sessionCols.includes('model')) {
+      database.exec("ALTER TABLE sessions ADD COLUMN model TEXT NOT NULL DEFAULT ''");
+    }
+    for (const col of ['input_tokens INTEGER', 'output_tokens INTEGER', 'num_turns INTEGER', 'cost_usd REAL']) {
+      if (!sessionCols.includes(col.split(' ')[0])) database.exec('ALTER TABLE sessions ADD COLUMN ' + col);
+    }
+    if (!sessionCols.includes('log_path')) {
+      database.exec("ALTER TABLE sessions ADD COLUMN log_path TEXT NOT NULL DEFAULT ''");
+    }
+  }
   // Ensure OpenSpec config defaults exist
   database.exec("INSERT OR IGNORE INTO config (key, value) VALUES ('openspec_auto_archive', 'false')");
   database.exec("INSERT OR IGNORE INTO config (key, value) VALUES ('openspec_auto_import', 'false')");
+  database.exec("INSERT OR IGNORE INTO config (key, value) VALUES ('openspec_sync_back', 'false')");
+  database.exec("INSERT OR IGNORE INTO config (key, value) VALUES ('openspec_watch', 'false')");
 }
 
 function close() {
@@ -81,12 +123,15 @@ function exportFeatures(projectRoot, outputPath) {
     requirements: JSON.parse(r.requirements),
     architecture_compliance: JSON.parse(r.architecture_compliance),
     verification_steps: JSON.parse(r.verification_steps),
+    scenarios: JSON.parse(r.scenarios || '[]'),
     assigned_to: r.assigned_to,
     reviewed_by: r.reviewed_by,
     tested_by: r.tested_by,
     passes: r.passes === 1,
     openspec_change_id: r.openspec_change_id || '',
     openspec_task_group: r.openspec_task_group || 0,
+    agent_overrides: JSON.parse(r.agent_overrides || '{}'),
+    budget_usd: r.budget_usd,
     notes: r.notes
   }));
 
@@ -95,27 +140,31 @@ function exportFeatures(projectRoot, outputPath) {
   return features;
 }
 
-// Import features from JSON file
+// Import features from JSON file. Throws INVALID_FEATURE (nothing imported) if a
+// feature fails the checks features.create makes.
 function importFeatures(projectRoot, inputPath) {
   const db = get(projectRoot);
   const filePath = inputPath || path.join(projectRoot, 'architecture', 'feature-requirements.json');
   const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
   const features = data.features || [];
+  // Same field and status checks as features.create (lib/features requires this module)
+  require('./features').validateImport(projectRoot, features);
 
   const upsert = db.prepare(`
     INSERT INTO features (id, category, description, status, depends_on, openspec_reference,
-      requirements, architecture_compliance, verification_steps, assigned_to, reviewed_by,
-      tested_by, passes, openspec_change_id, openspec_task_group, notes)
+      requirements, architecture_compliance, verification_steps, scenarios, assigned_to, reviewed_by,
+      tested_by, passes, openspec_change_id, openspec_task_group, agent_overrides, budget_usd, notes)
     VALUES (@id, @category, @description, @status, @depends_on, @openspec_reference,
-      @requirements, @architecture_compliance, @verification_steps, @assigned_to, @reviewed_by,
-      @tested_by, @passes, @openspec_change_id, @openspec_task_group, @notes)
+      @requirements, @architecture_compliance, @verification_steps, @scenarios, @assigned_to, @reviewed_by,
+      @tested_by, @passes, @openspec_change_id, @openspec_task_group, @agent_overrides, @budget_usd, @notes)
     ON CONFLICT(id) DO UPDATE SET
       category=@category, description=@description, status=@status, depends_on=@depends_on,
       openspec_reference=@openspec_reference, requirements=@requirements,
-      architecture_compliance=@architecture_compliance, verification_steps=@verification_steps,
+      architecture_compliance=@architecture_compliance, verification_steps=@verification_steps, scenarios=@scenarios,
       assigned_to=@assigned_to, reviewed_by=@reviewed_by, tested_by=@tested_by,
       passes=@passes, openspec_change_id=@openspec_change_id,
-      openspec_task_group=@openspec_task_group, notes=@notes
+      openspec_task_group=@openspec_task_group, agent_overrides=@agent_overrides,
+      budget_usd=@budget_usd, notes=@notes
   `);
 
   const insertMany = db.transaction((items) => {
@@ -129,9 +178,12 @@ function importFeatures(projectRoot, inputPath) {
         openspec_reference: f.openspec_reference || '',
         openspec_change_id: f.openspec_change_id || '',
         openspec_task_group: f.openspec_task_group || 0,
+        agent_overrides: JSON.stringify(f.agent_overrides || {}),
+        budget_usd: typeof f.budget_usd === 'number' ? f.budget_usd : null,
         requirements: JSON.stringify(f.requirements || []),
         architecture_compliance: JSON.stringify(f.architecture_compliance || []),
         verification_steps: JSON.stringify(f.verification_steps || []),
+        scenarios: JSON.stringify(f.scenarios || []),
         assigned_to: f.assigned_to || 'dev-agent',
         reviewed_by: f.reviewed_by || 'code-reviewer',
         tested_by: f.tested_by || 'qa-agent',
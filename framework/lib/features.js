@@ -1,4 +1,36 @@
+const fs = require('fs');
+const path = require('path');
 const db = require('./db');
+const webhooks = require('./webhooks');
+
+// Legal status transitions. Any review, QA or PR stage can send a feature back to dev.
+const TRANSITIONS = {
+  'pending': ['in-dev'],
+  'in-dev': ['ready-for-review'],
+  'ready-for-review': ['approved', 'needs-revision'],
+  'approved': ['qa-testing', 'needs-revision'],
+  'needs-revision': ['in-dev'],
+  'qa-testing': ['pr-open', 'needs-revision'],
+  'pr-open': ['complete', 'needs-revision'],
+  'complete': []
+};
+
+// Statuses a feature can have with passes true
+const PASSED = ['qa-testing', 'pr-open', 'complete'];
+
+// Columns that hold plain text (NOT NULL in the schema)
+const TEXT_FIELDS = ['category', 'description', 'openspec_reference', 'assigned_to', 'reviewed_by', 'tested_by',
+  'notes', 'openspec_change_id'];
+
+// Per-feature agent overrides use the config key names: "model", "max_agent_turns"
+// and "prompt", optionally narrowed to one role ("model.review").
+const AGENT_SETTINGS = ['model', 'max_agent_turns', 'prompt'];
+const AGENT_ROLES = ['dev', 'review', 'qa'];
+
+function isAgentSettingKey(key) {
+  const parts = key.split('.');
+  return parts.length <= 2 && AGENT_SETTINGS.includes(parts[0]) && (parts.length === 1 || AGENT_ROLES.includes(parts[1]));
+}
 
 function list(projectRoot, { status, assignedTo } = {}) {
   const d = db.get(projectRoot);
@@ -29,29 +61,51 @@ function getFeature(projectRoot, featureId) {
 
 function create(projectRoot, feature) {
   const d = db.get(projectRoot);
+  validateFields(projectRoot, feature.id, Object.assign({}, feature, { description: feature.description || '' }));
+  const problem = checkState(Object.assign({ status: 'pending', passes: false }, feature));
+  if (problem) throw featureError('INVALID_FEATURE', problem);
   d.prepare(`
     INSERT INTO features (id, category, description, status, depends_on, openspec_reference,
-      requirements, architecture_compliance, verification_steps, assigned_to, reviewed_by,
-      tested_by, passes, openspec_change_id, openspec_task_group, notes)
+      requirements, architecture_compliance, verification_steps, scenarios, assigned_to, reviewed_by,
+      tested_by, passes, openspec_change_id, openspec_task_group, agent_overrides, budget_usd, notes)
     VALUES (@id, @category, @description, @status, @depends_on, @openspec_reference,
-      @requirements, @architecture_compliance, @verification_steps, @assigned_to, @reviewed_by,
-      @tested_by, @passes, @openspec_change_id, @openspec_task_group, @notes)
+      @requirements, @architecture_compliance, @verification_steps, @scenarios, @assigned_to, @reviewed_by,
+      @tested_by, @passes, @openspec_change_id, @openspec_task_group, @agent_overrides, @budget_usd, @notes)
   `).run(serialize(feature));
   return getFeature(projectRoot, feature.id);
 }
 
-function update(projectRoot, featureId, fields) {
+// Throws an error with code ILLEGAL_TRANSITION if the status/passes change is not
+// allowed by TRANSITIONS. { force: true } skips the check (unknown statuses still fail).
+function update(projectRoot, featureId, fields, { force } = {}) {
   const d = db.get(projectRoot);
+  const current = getFeature(projectRoot, featureId);
+  if (!current) return null;
+
+  if (fields.status !== undefined && !TRANSITIONS[fields.status]) {
+    throw featureError('ILLEGAL_TRANSITION', 'Unknown status "' + fields.status + '". Valid: ' + Object.keys(TRANSITIONS).join(', '));
+  }
+  if (!force) {
+    const problem = checkTransition(current, fields);
+    if (problem) throw featureError('ILLEGAL_TRANSITION', problem);
+  }
+  validateFields(projectRoot, featureId, fields);
+  // A feature sent back to dev has to pass QA again
+  if (fields.status === 'needs-revision' && fields.passes === undefined && current.passes) {
+    fields = Object.assign({}, fields, { passes: false });
+  }
+
   const allowed = ['category', 'description', 'status', 'depends_on', 'openspec_reference',
-    'requirements', 'architecture_compliance', 'verification_steps', 'assigned_to',
-    'reviewed_by', 'tested_by', 'passes', 'notes', 'openspec_change_id', 'openspec_task_group'];
+    'requirements', 'architecture_compliance', 'verification_steps', 'scenarios', 'assigned_to',
+    'reviewed_by', 'tested_by', 'passes', 'notes', 'openspec_change_id', 'openspec_task_group',
+    'agent_overrides', 'budget_usd'];
 
   const sets = [];
   const params = { id: featureId };
 
   for (const [key, value] of Object.entries(fields)) {
     if (!allowed.includes(key)) continue;
-    if (['depends_on', 'requirements', 'architecture_compliance', 'verification_steps'].includes(key)) {
+    if (['depends_on', 'requirements', 'architecture_compliance', 'verification_steps', 'scenarios', 'agent_overrides'].includes(key)) {
       params[key] = JSON.stringify(value);
     } else if (key === 'openspec_task_group') {
       params[key] = parseInt(value, 10) || 0;
@@ -66,12 +120,158 @@ function update(projectRoot, featureId, fields) {
   if (sets.length === 0) return getFeature(projectRoot, featureId);
 
   d.prepare(`UPDATE features SET ${sets.join(', ')} WHERE id = @id`).run(params);
-  return getFeature(projectRoot, featureId);
+  const updated = getFeature(projectRoot, featureId);
+  if (updated.status !== current.status) {
+    webhooks.emit(projectRoot, 'feature.status_changed', {
+      feature_id: featureId,
+      description: updated.description,
+      from: current.status,
+      to: updated.status,
+      passes: updated.passes,
+      forced: Boolean(force)
+    });
+  }
+  return updated;
+}
+
+// Returns why `fields` cannot be applied to `feature`, or null if the change is legal
+function checkTransition(feature, fields) {
+  const from = feature.status;
+  const to = fields.status !== undefined ? fields.status : from;
+
+  if (to !== from && !(TRANSITIONS[from] || []).includes(to)) {
+    const allowed = TRANSITIONS[from] || [];
+    return feature.id + ': cannot move from ' + from + ' to ' + to + '. Allowed next: ' +
+      (allowed.length > 0 ? allowed.join(', ') : 'none (' + from + ' is final)');
+  }
+
+  const passes = fields.passes !== undefined ? !!fields.passes : feature.passes;
+  if (passes && !feature.passes && to !== 'qa-testing') {
+    return feature.id + ': passes can only be set while QA is running (status qa-testing), status would be ' + to;
+  }
+  if (to === 'pr-open' && !passes) {
+    return feature.id + ': cannot open a PR before QA passes (passes is false)';
+  }
+  return null;
+}
+
+// Returns why a feature cannot start out with this status and passes (create and
+// import), or null. The same rules as checkTransition: passes is only set from
+// QA on, and a PR is only opened once QA passed.
+function checkState(feature) {
+  const id = feature.id || 'New feature';
+  if (feature.passes && !PASSED.includes(feature.status)) {
+    return id + ': passes can only be true from qa-testing on, status is ' + feature.status;
+  }
+  if (feature.status === 'pr-open' && !feature.passes) {
+    return id + ': a pr-open feature must have passed QA (passes is false)';
+  }
+  return null;
 }
 
+// Field checks shared by create, update and import. IDs in `known` count as
+// existing dependencies (features imported together). Throws an error with
+// code INVALID_FEATURE.
+function validateFields(projectRoot, featureId, fields, known) {
+  for (const key of TEXT_FIELDS) {
+    if (fields[key] !== undefined && typeof fields[key] !== 'string') {
+      throw featureError('INVALID_FEATURE', key + ' must be a string');
+    }
+  }
+  if (fields.openspec_task_group !== undefined && !Number.isInteger(fields.openspec_task_group)) {
+    throw featureError('INVALID_FEATURE', 'openspec_task_group must be an integer');
+  }
+  if (fields.description !== undefined && !String(fields.description).trim()) {
+    throw featureError('INVALID_FEATURE', 'Description cannot be empty');
+  }
+  if (fields.status !== undefined && !TRANSITIONS[fields.status]) {
+    throw featureError('INVALID_FEATURE', 'Unknown status "' + fields.status + '". Valid: ' + Object.keys(TRANSITIONS).join(', '));
+  }
+  if (fields.passes !== undefined && typeof fields.passes !== 'boolean') {
+    throw featureError('INVALID_FEATURE', 'passes must be true or false');
+  }
+  for (const key of ['depends_on', 'requirements', 'architecture_compliance', 'verification_steps']) {
+    if (fields[key] === undefined) continue;
+    if (!Array.isArray(fields[key]) || fields[key].some(v => typeof v !== 'string')) {
+      throw featureError('INVALID_FEATURE', key + ' must be a list of strings');
+    }
+  }
+  if (fields.scenarios !== undefined) {
+    if (!Array.isArray(fields.scenarios) || fields.scenarios.some(s => !isScenario(s))) {
+      throw featureError('INVALID_FEATURE', 'scenarios must be a list of { requirement, name, given, when, then } objects, given/when/then lists of strings');
+    }
+  }
+  if (fields.agent_overrides !== undefined) {
+    const overrides = fields.agent_overrides;
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw featureError('INVALID_FEATURE', 'agent_overrides must be an object');
+    }
+    for (const key of Object.keys(overrides)) {
+      if (!isAgentSettingKey(key)) {
+        throw featureError('INVALID_FEATURE', 'Unknown agent override "' + key + '". Use ' +
+          AGENT_SETTINGS.join(', ') + ', optionally with .' + AGENT_ROLES.join('/.'));
+      }
+      if (typeof overrides[key] !== 'string' && typeof overrides[key] !== 'number') {
+        throw featureError('INVALID_FEATURE', 'agent override ' + key + ' must be a string or number');
+      }
+    }
+  }
+  if (fields.budget_usd !== undefined && fields.budget_usd !== null &&
+      (typeof fields.budget_usd !== 'number' || !(fields.budget_usd >= 0))) {
+    throw featureError('INVALID_FEATURE', 'budget_usd must be a non-negative number (or null for no budget)');
+  }
+  for (const dep of fields.depends_on || []) {
+    if (dep === featureId) throw featureError('INVALID_FEATURE', featureId + ' cannot depend on itself');
+    if (!(known && known.has(dep)) && !getFeature(projectRoot, dep)) throw featureError('INVALID_FEATURE', 'Unknown dependency: ' + dep);
+  }
+}
+
+// Check features about to be imported as create would, allowing dependencies
+// between them. Throws INVALID_FEATURE naming the first bad feature.
+function validateImport(projectRoot, items) {
+  const ids = new Set(items.map(f => f.id));
+  for (const f of items) {
+    const fields = Object.assign({ status: 'pending', passes: false }, f, { description: f.description || '' });
+    try {
+      validateFields(projectRoot, f.id, fields, ids);
+    } catch (err) {
+      if (err.code !== 'INVALID_FEATURE') throw err;
+      throw featureError('INVALID_FEATURE', f.id + ': ' + err.message);
+    }
+    const problem = checkState(fields);
+    if (problem) throw featureError('INVALID_FEATURE', problem);
+  }
+}
+
+function isScenario(s) {
+  const strings = v => Array.isArray(v) && v.every(x => typeof x === 'string');
+  return s !== null && typeof s === 'object' && typeof s.name === 'string' &&
+    (s.requirement === undefined || typeof s.requirement === 'string') &&
+    strings(s.given || []) && strings(s.when || []) && strings(s.then || []);
+}
+
+// Errors callers are expected to handle carry a code: ILLEGAL_TRANSITION,
+// INVALID_FEATURE or HAS_DEPENDENTS
+function featureError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Refuses (HAS_DEPENDENTS) while other features depend on it. The feature's
+// session history is deleted with it.
 function remove(projectRoot, featureId) {
   const d = db.get(projectRoot);
-  d.prepare('DELETE FROM features WHERE id = ?').run(featureId);
+  const dependents = list(projectRoot).filter(f => f.depends_on.includes(featureId)).map(f => f.id);
+  if (dependents.length > 0) {
+    throw featureError('HAS_DEPENDENTS', featureId + ' is a dependency of ' + dependents.join(', '));
+  }
+  d.transaction(() => {
+    d.prepare('DELETE FROM sessions WHERE feature_id = ?').run(featureId);
+    d.prepare('DELETE FROM features WHERE id = ?').run(featureId);
+  })();
+  // Session transcripts go with the sessions
+  fs.rmSync(path.join(projectRoot, '.framework', 'logs', featureId), { recursive: true, force: true });
 }
 
 function nextId(projectRoot) {
@@ -82,7 +282,8 @@ function nextId(projectRoot) {
   return 'FEAT-' + String(num + 1).padStart(3, '0');
 }
 
-// Dependency resolution — topological sort
+// Dependency order. Never throws: a dependency that would close a cycle is passed
+// over and unknown IDs are ignored. Use validateDependencies to report them.
 function resolveOrder(projectRoot) {
   const all = list(projectRoot);
   const map = new Map(all.map(f => [f.id, f]));
@@ -91,8 +292,7 @@ function resolveOrder(projectRoot) {
   const visiting = new Set();
 
   function visit(id) {
-    if (visited.has(id)) return;
-    if (visiting.has(id)) throw new Error('Circular dependency: ' + id);
+    if (visited.has(id) || visiting.has(id)) return;
     visiting.add(id);
     const f = map.get(id);
     if (f && f.depends_on) {
@@ -107,15 +307,125 @@ function resolveOrder(projectRoot) {
   return sorted;
 }
 
-function depsAreMet(projectRoot, featureId) {
+// Every cycle found by depth-first search, as a path following depends_on:
+// ['FEAT-001', 'FEAT-002', 'FEAT-001'] means 001 needs 002, which needs 001.
+function findCycles(all) {
+  const map = new Map(all.map(f => [f.id, f]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+  const cycles = [];
+
+  function visit(id) {
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const dep of map.get(id).depends_on) {
+      if (!map.has(dep)) continue;
+      if (state.get(dep) === 'visiting') {
+        cycles.push(stack.slice(stack.indexOf(dep)).concat(dep));
+      } else if (!state.has(dep)) {
+        visit(dep);
+      }
+    }
+    stack.pop();
+    state.set(id, 'done');
+  }
+
+  for (const f of all) {
+    if (!state.has(f.id)) visit(f.id);
+  }
+  return cycles;
+}
+
+// All dependency problems at once: cycles (full path), self-dependencies and
+// depends_on entries pointing at features that don't exist.
+function validateDependencies(projectRoot) {
+  const all = list(projectRoot);
+  const ids = new Set(all.map(f => f.id));
+  const selfDeps = all.filter(f => f.depends_on.includes(f.id)).map(f => f.id);
+  const cycles = findCycles(all).filter(c => c.length > 2);
+  const dangling = [];
+  for (const f of all) {
+    for (const dep of f.depends_on) {
+      if (!ids.has(dep)) dangling.push({ feature: f.id, dependency: dep });
+    }
+  }
+  return {
+    ok: cycles.length === 0 && selfDeps.length === 0 && dangling.length === 0,
+    cycles,
+    selfDeps,
+    dangling
+  };
+}
+
+// One line per problem in a validateDependencies result
+function describeDependencyProblems(report) {
+  const lines = [];
+  for (const c of report.cycles) lines.push('Cycle: ' + c.join(' -> '));
+  for (const id of report.selfDeps) lines.push('Self-dependency: ' + id + ' depends on itself');
+  for (const d of report.dangling) lines.push('Unknown dependency: ' + d.feature + ' depends on ' + d.dependency + ', which does not exist');
+  return lines;
+}
+
+// A dependency is met once it passes QA, or with { merged: true } once it is complete
+function depsAreMet(projectRoot, featureId, { merged } = {}) {
   const feature = getFeature(projectRoot, featureId);
   if (!feature || !feature.depends_on || feature.depends_on.length === 0) return true;
   return feature.depends_on.every(depId => {
     const dep = getFeature(projectRoot, depId);
-    return dep && dep.passes === true;
+    if (!dep) return false;
+    return merged ? dep.status === 'complete' : dep.passes === true;
   });
 }
 
+// Pipeline state — retry/stall counters and escalation, persisted across autoplay runs
+function getPipelineState(projectRoot, featureId) {
+  const d = db.get(projectRoot);
+  const row = d.prepare('SELECT * FROM pipeline_state WHERE feature_id = ?').get(featureId);
+  if (!row) {
+    return { feature_id: featureId, retries: 0, stalls: 0, escalated: false, escalation_reason: '', escalated_at: null };
+  }
+  return deserializeState(row);
+}
+
+// Increment 'retries' or 'stalls' for a feature and return the new value
+function bumpCounter(projectRoot, featureId, counter) {
+  if (counter !== 'retries' && counter !== 'stalls') throw new Error('Unknown counter: ' + counter);
+  const d = db.get(projectRoot);
+  d.prepare('INSERT INTO pipeline_state (feature_id) VALUES (?) ON CONFLICT(feature_id) DO NOTHING').run(featureId);
+  d.prepare(`UPDATE pipeline_state SET ${counter} = ${counter} + 1, updated_at = datetime('now') WHERE feature_id = ?`).run(featureId);
+  return getPipelineState(projectRoot, featureId)[counter];
+}
+
+function escalate(projectRoot, featureId, reason) {
+  const d = db.get(projectRoot);
+  d.prepare(`
+    INSERT INTO pipeline_state (feature_id, escalated, escalation_reason, escalated_at)
+    VALUES (@id, 1, @reason, datetime('now'))
+    ON CONFLICT(feature_id) DO UPDATE SET
+      escalated = 1, escalation_reason = @reason, escalated_at = datetime('now'), updated_at = datetime('now')
+  `).run({ id: featureId, reason: reason || '' });
+  const state = getPipelineState(projectRoot, featureId);
+  webhooks.emit(projectRoot, 'feature.escalated', {
+    feature_id: featureId,
+    reason: state.escalation_reason,
+    retries: state.retries,
+    stalls: state.stalls
+  });
+  return state;
+}
+
+// Clear escalation and reset counters so autoplay picks the feature up with a fresh budget
+function unescalate(projectRoot, featureId) {
+  const d = db.get(projectRoot);
+  d.prepare('DELETE FROM pipeline_state WHERE feature_id = ?').run(featureId);
+  return getPipelineState(projectRoot, featureId);
+}
+
+function listEscalated(projectRoot) {
+  const d = db.get(projectRoot);
+  return d.prepare('SELECT * FROM pipeline_state WHERE escalated = 1 ORDER BY feature_id').all().map(deserializeState);
+}
+
 // Helpers
 function serialize(f) {
   return {
@@ -128,12 +438,15 @@ function serialize(f) {
     requirements: JSON.stringify(f.requirements || []),
     architecture_compliance: JSON.stringify(f.architecture_compliance || []),
     verification_steps: JSON.stringify(f.verification_steps || []),
+    scenarios: JSON.stringify(f.scenarios || []),
     assigned_to: f.assigned_to || 'dev-agent',
     reviewed_by: f.reviewed_by || 'code-reviewer',
     tested_by: f.tested_by || 'qa-agent',
     passes: f.passes ? 1 : 0,
     openspec_change_id: f.openspec_change_id || '',
     openspec_task_group: f.openspec_task_group || 0,
+    agent_overrides: JSON.stringify(f.agent_overrides || {}),
+    budget_usd: typeof f.budget_usd === 'number' ? f.budget_usd : null,
     notes: f.notes || ''
   };
 }
@@ -149,16 +462,34 @@ function deserialize(row) {
     requirements: JSON.parse(row.requirements),
     architecture_compliance: JSON.parse(row.architecture_compliance),
     verification_steps: JSON.parse(row.verification_steps),
+    scenarios: JSON.parse(row.scenarios || '[]'),
     assigned_to: row.assigned_to,
     reviewed_by: row.reviewed_by,
     tested_by: row.tested_by,
     passes: row.passes === 1,
     openspec_change_id: row.openspec_change_id || '',
     openspec_task_group: row.openspec_task_group || 0,
+    agent_overrides: JSON.parse(row.agent_overrides || '{}'),
+    budget_usd: row.budget_usd,
     notes: row.notes,
     created_at: row.created_at,
     updated_at: row.updated_at
   };
 }
 
-module.exports = { list, get: getFeature, create, update, remove, nextId, resolveOrder, depsAreMet };
+function deserializeState(row) {
+  return {
+    feature_id: row.feature_id,
+    retries: row.retries,
+    stalls: row.stalls,
+    escalated: row.escalated === 1,
+    escalation_reason: row.escalation_reason,
+    escalated_at: row.escalated_at
+  };
+}
+
+module.exports = {
+  TRANSITIONS, AGENT_SETTINGS, AGENT_ROLES, isAgentSettingKey, list, get: getFeature, create, update, checkTransition, validateImport, remove, nextId, resolveOrder, depsAreMet,
+  findCycles, validateDependencies, describeDependencyProblems,
+  getPipelineState, bumpCounter, escalate, unescalate, listEscalated
+};
@@ -0,0 +1,95 @@
+/**
+ * Dependency Graph Analysis
+ *
+ * Builds the depends_on DAG for display: nodes, edges, blocked features,
+ * the critical path of remaining work, and cycles.
+ */
+
+const features = require('./features');
+
+function buildGraph(projectRoot) {
+  const all = features.list(projectRoot);
+  const map = new Map(all.map(f => [f.id, f]));
+  const cycles = features.findCycles(all);
+
+  // Edges that close a cycle: consecutive pairs in a cycle path (dependent -> dependency)
+  const cycleEdges = new Set();
+  const inCycle = new Set();
+  for (const cycle of cycles) {
+    for (let i = 0; i < cycle.length - 1; i++) {
+      cycleEdges.add(cycle[i + 1] + '>' + cycle[i]);
+      inCycle.add(cycle[i]);
+    }
+  }
+
+  // Longest chain of dependencies below each feature (layout depth) and the
+  // most remaining work through it (critical path). Cycle edges are ignored.
+  const depth = new Map();
+  const cost = new Map();
+  const via = new Map();
+  function measure(id, visiting) {
+    if (cost.has(id)) return;
+    visiting.add(id);
+    const f = map.get(id);
+    let bestDepth = 0;
+    let bestCost = 0;
+    let bestDep = null;
+    for (const dep of f.depends_on) {
+      if (!map.has(dep) || visiting.has(dep)) continue;
+      measure(dep, visiting);
+      bestDepth = Math.max(bestDepth, depth.get(dep) + 1);
+      if (cost.get(dep) > bestCost) {
+        bestCost = cost.get(dep);
+        bestDep = dep;
+      }
+    }
+    visiting.delete(id);
+    depth.set(id, bestDepth);
+    cost.set(id, bestCost + (f.status === 'complete' ? 0 : 1));
+    via.set(id, bestDep);
+  }
+  for (const f of all) measure(f.id, new Set());
+
+  let end = null;
+  for (const f of all) {
+    if (cost.get(f.id) > 0 && (end === null || cost.get(f.id) > cost.get(end))) end = f.id;
+  }
+  const criticalPath = [];
+  for (let id = end; id; id = via.get(id)) criticalPath.unshift(id);
+  const critical = new Set(criticalPath);
+
+  const nodes = all.map(f => {
+    const blockedBy = f.status === 'complete' ? [] : f.depends_on.filter(dep => {
+      const d = map.get(dep);
+      return !d || d.passes !== true;
+    });
+    return {
+      id: f.id,
+      description: f.description,
+      status: f.status,
+      passes: f.passes,
+      depth: depth.get(f.id),
+      blocked: blockedBy.length > 0,
+      blocked_by: blockedBy,
+      in_cycle: inCycle.has(f.id),
+      critical: critical.has(f.id)
+    };
+  });
+
+  const edges = [];
+  for (const f of all) {
+    for (const dep of f.depends_on) {
+      edges.push({
+        from: dep,
+        to: f.id,
+        missing: !map.has(dep),
+        in_cycle: cycleEdges.has(dep + '>' + f.id),
+        critical: critical.has(dep) && critical.has(f.id) && via.get(f.id) === dep
+      });
+    }
+  }
+
+  return { nodes, edges, critical_path: criticalPath, cycles };
+}
+
+module.exports = { buildGraph };
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Mock Agent
+ *
+ * Spawned by the mock runner (lib/runners.js) in place of a real agent:
+ *
+ *   node mock-agent.js <projectRoot> <featureId> <action> [script.json]
+ *
+ * Applies the next canned step for this feature and action, then exits. A script
+ * lists steps per action, optionally overridden per feature. The Nth session of
+ * an action uses the Nth step; the last step repeats once the list runs out:
+ *
+ *   {
+ *     "dev":    [{ "status": "ready-for-review" }],
+ *     "review": [{ "status": "needs-revision", "notes": "Missing tests" }, { "status": "approved" }],
+ *     "qa":     [{ "passes": true }],
+ *     "FEAT-003": { "qa": [{ "exit": 1 }] }
+ *   }
+ *
+ * A step may set status, passes and notes, and exit with a code. An empty step
+ * ({}) changes nothing, which the orchestrator counts as a stall. A step with
+ * "usage": { "input_tokens", "output_tokens", "num_turns", "cost_usd" } reports
+ * it the way Claude's stream-json result event does, for cost accounting tests.
+ */
+
+const fs = require('fs');
+const db = require('./db');
+const features = require('./features');
+const sessions = require('./sessions');
+
+const HAPPY_PATH = {
+  dev: [{ status: 'ready-for-review' }],
+  review: [{ status: 'approved' }],
+  qa: [{ passes: true }]
+};
+
+function main(argv) {
+  const [projectRoot, featureId, action, scriptPath] = argv;
+  if (!projectRoot || !featureId || !action) {
+    console.error('Usage: mock-agent.js <projectRoot> <featureId> <action> [script.json]');
+    return 2;
+  }
+
+  const script = scriptPath ? JSON.parse(fs.readFileSync(scriptPath, 'utf8')) : HAPPY_PATH;
+  const steps = (script[featureId] && script[featureId][action]) || script[action] || [];
+
+  db.open(projectRoot);
+  try {
+    // The session for this run is already recorded, so it is number `count`
+    const count = sessions.list(projectRoot, { featureId, role: action }).length;
+    const step = steps.length > 0 ? steps[Math.min(Math.max(count, 1), steps.length) - 1] : {};
+
+    const fields = {};
+    if (step.status !== undefined) fields.status = step.status;
+    if (step.passes !== undefined) fields.passes = step.passes;
+    if (step.notes !== undefined) fields.notes = step.notes;
+
+    const summary = '[mock] ' + action + ' #' + count + ' on ' + featureId + ': ' + (Object.keys(fields).length > 0 ? JSON.stringify(fields) : 'no change');
+    if (Object.keys(fields).length > 0) features.update(projectRoot, featureId, fields);
+    console.log(summary);
+    if (step.usage) {
+      console.log(JSON.stringify({
+        type: 'result',
+        subtype: 'success',
+        result: summary,
+        num_turns: step.usage.num_turns,
+        total_cost_usd: step.usage.cost_usd,
+        usage: { input_tokens: step.usage.input_tokens, output_tokens: step.usage.output_tokens }
+      }));
+    }
+    return step.exit || 0;
+  } catch (err) {
+    console.error('[mock] ' + err.message);
+    return 1;
+  } finally {
+    db.close();
+  }
+}
+
+// Pending webhook deliveries keep the process alive until they finish
+process.exitCode = main(process.argv.slice(2));
@@ -13,6 +13,10 @@ const fs = require('fs');
 const path = require('path');
 const features = require('./features');
 const db = require('./db');
+const webhooks = require('./webhooks');
+
+// Statuses a task group's checkboxes can put a feature in, in pipeline order
+var PROGRESS = ['pending', 'in-dev', 'ready-for-review'];
 
 function isInstalled() {
   var result = spawnSync('openspec', ['--version'], { encoding: 'utf8' });
@@ -68,55 +72,332 @@ function archiveChange(changeName, projectRoot) {
 
 /**
  * Parse tasks.md content into task groups.
- * Each top-level numbered item becomes a group.
- * Sub-items become steps within that group.
+ *
+ * Groups are either headings or, in files without heading groups, top-level
+ * numbered items. A heading is a group if it is numbered ("## 1. Setup") or
+ * has list items under it, so a document title like "# Tasks" is skipped.
+ * Everything listed under a group becomes its tasks, nested by indentation,
+ * with "1.1"-style numbers and [ ]/[x] checkboxes taken off the text. A
+ * "### 1.1 Models" heading inside a group is a task too, with the items below
+ * it as its sub-tasks. Fenced code blocks are skipped.
  *
  * Example tasks.md:
- *   1. Set up auth provider
- *      - Configure OAuth endpoints
- *      - Add token refresh logic
- *   2. Create login UI
- *      - Build login form component
- *      - Add error handling
+ *   ## 1. Set up auth provider
+ *   - [x] 1.1 Configure OAuth endpoints
+ *   - [ ] 1.2 Add token refresh logic
+ *     - [ ] Retry once on 401
+ *
+ * Returns: [{
+ *   title: "Set up auth provider", number: "1", checked: null, line: 0,
+ *   steps: ["Configure OAuth endpoints", "Add token refresh logic", "Retry once on 401"],
+ *   tasks: [
+ *     { text: "Configure OAuth endpoints", number: "1.1", checked: true, done: true, line: 1, children: [] },
+ *     { text: "Add token refresh logic", number: "1.2", checked: false, done: false, line: 2, children: [...] }
+ *   ],
+ *   done: 1, total: 2
+ * }]
  *
- * Returns: [
- *   { title: "Set up auth provider", steps: ["Configure OAuth endpoints", "Add token refresh logic"] },
- *   { title: "Create login UI", steps: ["Build login form component", "Add error handling"] }
- * ]
+ * steps lists every task depth-first. done/total count the tasks without
+ * sub-tasks; checking a task counts its sub-tasks as done. checked is the
+ * group's own checkbox ("1. [x] Title"), null if it has none. notes holds the
+ * group's other text lines. line is the 0-based line the group or task
+ * starts on.
  */
 function parseTaskGroups(tasksContent) {
   if (!tasksContent) return [];
 
-  var lines = tasksContent.split('\n');
+  var tokens = tokenizeTasks(tasksContent);
+  var headingMode = tokens.some(function(t, i) { return t.type === 'heading' && isGroupHeading(tokens, i); });
   var groups = [];
   var current = null;
+  var stack = []; // open tasks of the current group: { indent, task }
 
-  for (var i = 0; i < lines.length; i++) {
-    var line = lines[i];
+  function addTask(indent, text, number, checked, line) {
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) stack.pop();
+    var task = { text: text, number: number, checked: checked, done: false, line: line, children: [] };
+    (stack.length > 0 ? stack[stack.length - 1].task.children : current.tasks).push(task);
+    stack.push({ indent: indent, task: task });
+  }
 
-    // Top-level numbered item: "1. Title" or "1) Title"
-    var topMatch = line.match(/^\d+[.)]\s+(.+)/);
-    if (topMatch) {
-      if (current) groups.push(current);
-      current = { title: topMatch[1].trim(), steps: [] };
+  for (var i = 0; i < tokens.length; i++) {
+    var token = tokens[i];
+
+    if (token.type === 'heading') {
+      var heading = splitTaskText(token.text);
+      if (headingMode && isGroupHeading(tokens, i)) {
+        current = newGroup(heading, token.line);
+        groups.push(current);
+        stack = [];
+      } else if (current && heading.number && heading.number.indexOf('.') !== -1) {
+        // "### 1.1 Models": a task whose sub-tasks are the items below it
+        stack = [];
+        addTask(-1, heading.text, heading.number, heading.checked, token.line);
+      }
       continue;
     }
 
-    // Sub-item under current group: "  - Step" or "  * Step" or "    - Step"
-    if (current) {
-      var subMatch = line.match(/^\s+[-*]\s+(.+)/);
-      if (subMatch) {
-        // Strip checkbox syntax
-        var text = subMatch[1].replace(/^\[[ x]\]\s*/i, '').trim();
-        if (text) current.steps.push(text);
+    if (token.type === 'item') {
+      // Top-level numbered item: "1. Title" or "1) Title"
+      if (!headingMode && token.indent === 0 && token.ordered) {
+        current = newGroup(splitTaskText(token.marker + ' ' + token.text), token.line);
+        groups.push(current);
+        stack = [];
+        continue;
       }
+      if (!current) continue;
+      var item = splitTaskText(token.text);
+      if (item.text) addTask(token.indent, item.text, item.number, item.checked, token.line);
+      continue;
+    }
+
+    // A wrapped line continues the item above it; other text is kept as the group's notes
+    if (token.type === 'text' && stack.length > 0 && token.indent > stack[stack.length - 1].indent) {
+      var last = stack[stack.length - 1].task;
+      last.text += ' ' + token.text;
+    } else if (token.type === 'text' && current) {
+      current.notes.push(token.text);
     }
   }
-  if (current) groups.push(current);
 
+  groups.forEach(function(group) {
+    group.steps = flattenTasks(group.tasks);
+    var leaves = countLeaves(group.tasks, group.checked === true);
+    group.done = leaves.done;
+    group.total = leaves.total;
+  });
   return groups;
 }
 
+// Where a task group stands according to its checkboxes: every task checked
+// means the work is done and waiting for review, some checked means under way
+function taskGroupStatus(group) {
+  var complete = group.total > 0 ? group.done === group.total : group.checked === true;
+  if (complete) return 'ready-for-review';
+  return group.done > 0 ? 'in-dev' : 'pending';
+}
+
+// tasks.md lines as heading, item, text and blank tokens, each with its line
+// index, leaving out fenced code blocks and HTML comments such as the ones
+// syncBack adds
+function tokenizeTasks(content) {
+  var tokens = [];
+  var fence = null;
+  var lines = content.replace(/\r\n?/g, '\n').split('\n');
+
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].replace(/^[ \t]+/, function(ws) { return ws.replace(/\t/g, '    '); });
+    var fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      continue;
+    }
+
+    line = line.replace(/\s*<!--.*?-->/g, '');
+    var indent = line.match(/^ */)[0].length;
+    var heading = line.match(/^#{1,6}\s+(.*?)(?:\s+#+)?\s*$/);
+    if (heading) {
+      tokens.push({ type: 'heading', line: i, text: heading[1] });
+      continue;
+    }
+    // Thematic break ("---", "* * *"), not a list item
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      tokens.push({ type: 'blank', line: i });
+      continue;
+    }
+    var item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      tokens.push({ type: 'item', line: i, indent: indent, marker: item[1], ordered: /\d/.test(item[1]), text: item[2].trim() });
+      continue;
+    }
+    tokens.push(line.trim() ? { type: 'text', line: i, indent: indent, text: line.trim() } : { type: 'blank', line: i });
+  }
+  return tokens;
+}
+
+// A heading starts a group if it has a top-level number or list items under it
+function isGroupHeading(tokens, index) {
+  var number = splitTaskText(tokens[index].text).number;
+  if (number) return number.indexOf('.') === -1;
+  for (var i = index + 1; i < tokens.length && tokens[i].type !== 'heading'; i++) {
+    if (tokens[i].type === 'item') return true;
+  }
+  return false;
+}
+
+// "[x] 1.2 Add token refresh" -> { text: 'Add token refresh', number: '1.2', checked: true }
+// The checkbox may also follow the number: "1. [x] Title"
+function splitTaskText(text) {
+  var checked = null;
+  var number = null;
+  var box = text.match(/^\[([ xX])\]\s*/);
+  if (box) {
+    checked = box[1] !== ' ';
+    text = text.slice(box[0].length);
+  }
+  var num = text.match(/^(\d+(?:\.\d+)+)[.)]?\s+|^(\d+)[.)]\s+/);
+  if (num) {
+    number = num[1] || num[2];
+    text = text.slice(num[0].length);
+  }
+  box = checked === null ? text.match(/^\[([ xX])\]\s*/) : null;
+  if (box) {
+    checked = box[1] !== ' ';
+    text = text.slice(box[0].length);
+  }
+  return { text: text.trim(), number: number, checked: checked };
+}
+
+function newGroup(heading, line) {
+  return { title: heading.text, number: heading.number, checked: heading.checked, line: line, steps: [], tasks: [], notes: [], done: 0, total: 0 };
+}
+
+function flattenTasks(tasks) {
+  var texts = [];
+  for (var i = 0; i < tasks.length; i++) {
+    texts.push(tasks[i].text);
+    texts = texts.concat(flattenTasks(tasks[i].children));
+  }
+  return texts;
+}
+
+// Count tasks without sub-tasks and how many are done, setting each task's done
+// flag on the way: checked, under a checked task, or with all sub-tasks done
+function countLeaves(tasks, parentDone) {
+  var done = 0;
+  var total = 0;
+  for (var i = 0; i < tasks.length; i++) {
+    var task = tasks[i];
+    task.done = parentDone || task.checked === true;
+    if (task.children.length > 0) {
+      var sub = countLeaves(task.children, task.done);
+      if (sub.done === sub.total) task.done = true;
+      done += sub.done;
+      total += sub.total;
+    } else {
+      total += 1;
+      if (task.done) done += 1;
+    }
+  }
+  return { done: done, total: total };
+}
+
+// Requirements and their GIVEN/WHEN/THEN scenarios from spec files, as
+// [{ capability, path, name, scenarios: [{ requirement, name, given, when, then }] }].
+// Clauses may be bold ("- **WHEN** ..."); AND adds to the clause before it.
+// Clauses outside a "#### Scenario:" heading form a scenario of their own.
+function parseSpecRequirements(specFiles) {
+  var requirements = [];
+
+  specFiles.forEach(function(file) {
+    var requirement = null;
+    var scenario = null;
+    var clause = null;
+    var implicit = false; // scenario started by a clause rather than a heading
+    var lines = file.content.replace(/\r\n?/g, '\n').split('\n');
+
+    for (var i = 0; i < lines.length; i++) {
+      var line = lines[i].trim();
+      var reqMatch = line.match(/^#{2,4}\s+Requirement:\s*(.+)$/i);
+      if (reqMatch) {
+        requirement = { capability: file.capability, path: file.path, name: reqMatch[1].trim(), scenarios: [] };
+        requirements.push(requirement);
+        scenario = null;
+        continue;
+      }
+      var scenarioMatch = line.match(/^#{2,5}\s+Scenario:\s*(.+)$/i);
+      if (scenarioMatch) {
+        scenario = newScenario(requirement, scenarioMatch[1].trim());
+        clause = null;
+        implicit = false;
+        if (requirement) requirement.scenarios.push(scenario);
+        continue;
+      }
+      var clauseMatch = line.match(/^[-*]\s+(?:\*\*|__)?(GIVEN|WHEN|THEN|AND)(?:\*\*|__)?[:,]?\s+(.+)$/i);
+      if (!clauseMatch) continue;
+
+      var kind = clauseMatch[1].toLowerCase();
+      if (kind === 'and') kind = clause || 'then';
+      // Without scenario headings, a GIVEN after WHEN/THEN starts the next scenario
+      if (!scenario || (implicit && kind === 'given' && clause && clause !== 'given')) {
+        if (!requirement) {
+          requirement = { capability: file.capability, path: file.path, name: file.capability || 'Scenarios', scenarios: [] };
+          requirements.push(requirement);
+        }
+        scenario = newScenario(requirement, requirement.name + ' ' + (requirement.scenarios.length + 1));
+        implicit = true;
+        requirement.scenarios.push(scenario);
+      }
+      clause = kind;
+      scenario[kind].push(clauseMatch[2].trim());
+    }
+  });
+  return requirements;
+}
+
+function newScenario(requirement, name) {
+  return { requirement: requirement ? requirement.name : '', name: name, given: [], when: [], then: [] };
+}
+
+// Decide which requirements belong to which task group. A group takes the
+// requirements it references: "Requirement: <name>" in its title, tasks or notes,
+// a spec path ("specs/auth/spec.md" or "specs/auth"), or a capability name as a
+// word. Groups without references share the requirements no group referenced (all
+// of them if none did). Returns { groups: [[requirement]] by group index, unmapped }.
+function mapRequirements(taskGroups, requirements, specFiles) {
+  var capabilities = specFiles.map(function(f) { return f.capability; }).filter(Boolean);
+  var claimed = new Set();
+
+  var matches = taskGroups.map(function(group) {
+    var text = [group.title].concat(group.steps, group.notes || []).join('\n');
+    var lower = text.toLowerCase();
+    var names = [];
+    var refPattern = /requirements?:\s*([^\n;)\]]+)/gi;
+    var ref;
+    while ((ref = refPattern.exec(text))) {
+      names = names.concat(ref[1].split(',').map(function(n) { return n.trim().toLowerCase(); }));
+    }
+    var caps = capabilities.filter(function(cap) {
+      var c = cap.toLowerCase();
+      if (new RegExp('specs/' + escapeRegex(c) + '(?![\\w-])').test(lower)) return true;
+      var words = escapeRegex(c).replace(/[-_/]+/g, '[-_ /]');
+      return new RegExp('(^|[^\\w-])' + words + '($|[^\\w-])').test(lower);
+    });
+
+    var found = requirements.filter(function(r) {
+      return names.indexOf(r.name.toLowerCase()) !== -1 || caps.indexOf(r.capability) !== -1;
+    });
+    found.forEach(function(r) { claimed.add(r); });
+    return found;
+  });
+
+  var unclaimed = requirements.filter(function(r) { return !claimed.has(r); });
+  var anyUnmatched = matches.some(function(m) { return m.length === 0; });
+  return {
+    groups: matches.map(function(m) { return m.length > 0 ? m : unclaimed; }),
+    unmapped: anyUnmatched ? [] : unclaimed
+  };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function scenariosOf(requirements) {
+  return requirements.reduce(function(all, r) { return all.concat(r.scenarios); }, []);
+}
+
+// "Valid login: GIVEN a user exists, WHEN they sign in, THEN a session starts AND ..."
+function formatScenario(scenario) {
+  var clauses = ['given', 'when', 'then']
+    .filter(function(kind) { return scenario[kind].length > 0; })
+    .map(function(kind) { return kind.toUpperCase() + ' ' + scenario[kind].join(' AND '); });
+  return scenario.name + ': ' + clauses.join(', ');
+}
+
 /**
  * Import one OpenSpec change into framework features.
  * Uses upsert keyed on (openspec_change_id, openspec_task_group).
@@ -130,7 +411,7 @@ function readChangeFromDisk(changeName, projectRoot) {
   var changeDir = path.join(projectRoot, 'openspec', 'changes', changeName);
   if (!fs.existsSync(changeDir)) return null;
 
-  var result = { proposal: '', specs: '', design: '', tasks: '' };
+  var result = { proposal: '', specs: '', specFiles: [], design: '', tasks: '' };
 
   // Read top-level artifacts
   var proposalPath = path.join(changeDir, 'proposal.md');
@@ -142,10 +423,9 @@ function readChangeFromDisk(changeName, projectRoot) {
   var tasksPath = path.join(changeDir, 'tasks.md');
   if (fs.existsSync(tasksPath)) result.tasks = fs.readFileSync(tasksPath, 'utf8');
 
-  // Read all spec.md files under specs/
+  // Read all spec.md files under specs/; the directory is the capability name
   var specsDir = path.join(changeDir, 'specs');
   if (fs.existsSync(specsDir)) {
-    var specContents = [];
     function walkSpecs(dir) {
       var entries = fs.readdirSync(dir, { withFileTypes: true });
       for (var i = 0; i < entries.length; i++) {
@@ -154,20 +434,27 @@ function readChangeFromDisk(changeName, projectRoot) {
         if (entry.isDirectory()) {
           walkSpecs(fullPath);
         } else if (entry.name === 'spec.md') {
-          specContents.push(fs.readFileSync(fullPath, 'utf8'));
+          result.specFiles.push({
+            capability: path.relative(specsDir, dir).split(path.sep).join('/'),
+            path: path.relative(changeDir, fullPath).split(path.sep).join('/'),
+            content: fs.readFileSync(fullPath, 'utf8')
+          });
         }
       }
     }
     walkSpecs(specsDir);
-    result.specs = specContents.join('\n\n');
+    result.specs = result.specFiles.map(function(f) { return f.content; }).join('\n\n');
   }
 
   return result;
 }
 
-function importChange(changeName, projectRoot) {
+// Read a change's tasks.md and specs: its task groups and which requirements
+// each one gets. Returns { ok, taskGroups, mapping } or { ok: false, error }.
+function loadChange(changeName, projectRoot) {
   // Try OpenSpec CLI first, fall back to filesystem
   var proposal = '', specs = '', design = '', tasks = '';
+  var diskData = readChangeFromDisk(changeName, projectRoot);
 
   if (isInstalled()) {
     var changeResult = showChange(changeName, projectRoot);
@@ -188,7 +475,6 @@ function importChange(changeName, projectRoot) {
 
   // Fallback: read from filesystem if CLI returned nothing useful
   if (!tasks && !specs) {
-    var diskData = readChangeFromDisk(changeName, projectRoot);
     if (!diskData) {
       return { ok: false, error: 'Change "' + changeName + '" not found (checked CLI + openspec/changes/' + changeName + '/)' };
     }
@@ -203,91 +489,190 @@ function importChange(changeName, projectRoot) {
 
   // If no parseable task groups, create a single feature for the whole change
   if (taskGroups.length === 0) {
-    taskGroups = [{ title: changeName, steps: [] }];
+    taskGroups = [{ title: changeName, number: null, checked: null, steps: [], tasks: [], notes: [], done: 0, total: 0 }];
   }
 
-  // Extract requirements from specs (lines matching GIVEN/WHEN/THEN or requirement patterns)
-  var specRequirements = [];
-  var specScenarios = [];
-  if (specs) {
-    var specLines = specs.split('\n');
-    for (var i = 0; i < specLines.length; i++) {
-      var sline = specLines[i].trim();
-      if (sline.match(/^###?\s+Requirement:/i)) {
-        specRequirements.push(sline.replace(/^###?\s+Requirement:\s*/i, '').trim());
-      }
-      if (sline.match(/^-\s+(GIVEN|WHEN|THEN|AND)\b/i)) {
-        specScenarios.push(sline.replace(/^-\s+/, '').trim());
-      }
-    }
-  }
-
-  db.open(projectRoot);
-
-  var created = [];
-  var updated = [];
-
-  for (var g = 0; g < taskGroups.length; g++) {
-    var group = taskGroups[g];
-    var changeId = changeName;
-    var taskGroup = g + 1;
-
-    // Check if feature already exists for this (changeId, taskGroup)
-    var existing = findByOpenspecKey(projectRoot, changeId, taskGroup);
+  // Requirements with their scenarios, per capability. The CLI's specs text has
+  // no file names, so the files on disk are used when they exist.
+  var specFiles = diskData && diskData.specFiles.length > 0 ? diskData.specFiles
+    : specs ? [{ capability: '', path: '', content: specs }] : [];
+  var specRequirements = parseSpecRequirements(specFiles);
+  return { ok: true, taskGroups: taskGroups, mapping: mapRequirements(taskGroups, specRequirements, specFiles) };
+}
 
-    var featureData = {
+/**
+ * Work out what importing a change would do, without changing anything.
+ *
+ * Task groups are matched to the change's existing features by title as of
+ * their last import, then, for renamed groups, by their tasks (at least half
+ * the same). Position plays no part, so inserting or reordering groups in
+ * tasks.md doesn't rewrite the features after them. Features whose group is
+ * gone from tasks.md are orphans.
+ *
+ * Returns { entries: [{ position, group, feature, match, data, status, changes }],
+ * orphans: [feature] }. match is 'title', 'content' or null (new feature);
+ * changes lists { field, from, to } for fields the import would change.
+ */
+function planImport(projectRoot, changeName, loaded) {
+  var existing = features.list(projectRoot).filter(function(f) { return f.openspec_change_id === changeName; });
+  var matched = matchGroups(projectRoot, changeName, existing, loaded.taskGroups);
+  var matches = matched.matches;
+
+  var entries = loaded.taskGroups.map(function(group, g) {
+    var assigned = loaded.mapping.groups[g];
+    var data = {
       category: changeName,
       description: group.title,
       openspec_reference: 'openspec/changes/' + changeName,
-      openspec_change_id: changeId,
-      openspec_task_group: taskGroup,
-      requirements: specRequirements.length > 0 ? specRequirements : group.steps,
-      verification_steps: specScenarios.length > 0
-        ? specScenarios.map(function(s) { return s + ' verified'; })
+      openspec_change_id: changeName,
+      openspec_task_group: g + 1,
+      requirements: assigned.length > 0
+        ? assigned.map(function(r) { return r.name; })
+        : group.steps,
+      verification_steps: assigned.length > 0
+        ? scenariosOf(assigned).map(formatScenario)
         : group.steps.map(function(s) { return s + ' works correctly'; }),
-      notes: 'Imported from OpenSpec change: ' + changeName
+      scenarios: scenariosOf(assigned),
+      notes: 'Imported from OpenSpec change: ' + changeName +
+        (group.total > 0 ? ' (' + group.done + '/' + group.total + ' tasks checked)' : '')
     };
-
-    if (existing) {
-      // Update existing feature (preserve status, passes, id)
-      features.update(projectRoot, existing.id, featureData);
-      updated.push(existing.id);
-    } else {
-      // Create new feature
-      var id = features.nextId(projectRoot);
-      featureData.id = id;
-      featureData.status = 'pending';
-      featureData.depends_on = [];
-      featureData.assigned_to = 'dev-agent';
-      featureData.reviewed_by = 'code-reviewer';
-      featureData.tested_by = 'qa-agent';
-      featureData.passes = false;
-      features.create(projectRoot, featureData);
-      created.push(id);
+    var feature = matches[g] ? matches[g].known.feature : null;
+    var status = taskGroupStatus(group);
+    if (feature) {
+      // Tasks checked off since the last import move a feature dev hasn't finished forward, never back
+      var from = PROGRESS.indexOf(feature.status);
+      status = from !== -1 && PROGRESS.indexOf(status) > from ? status : feature.status;
     }
-  }
+    return { position: g + 1, group: group, feature: feature, match: matches[g] ? matches[g].match : null, data: data, status: status, changes: [] };
+  });
 
-  // Set up sequential dependencies within the same change
-  var allIds = [];
-  for (var g = 0; g < taskGroups.length; g++) {
-    var feat = findByOpenspecKey(projectRoot, changeName, g + 1);
-    if (feat) allIds.push(feat.id);
-  }
-  for (var i = 1; i < allIds.length; i++) {
-    var feat = features.get(projectRoot, allIds[i]);
-    if (feat && !feat.depends_on.includes(allIds[i - 1])) {
-      var deps = feat.depends_on.concat([allIds[i - 1]]);
-      features.update(projectRoot, allIds[i], { depends_on: deps });
-    }
-  }
+  // Each group depends on the one before it. Other dependencies on features of
+  // this change are dropped, as they came from an earlier order.
+  var changeIds = existing.map(function(f) { return f.id; });
+  entries.forEach(function(entry, i) {
+    var previous = i > 0 ? entries[i - 1].feature : null;
+    var deps = entry.feature ? entry.feature.depends_on.filter(function(id) { return changeIds.indexOf(id) === -1; }) : [];
+    if (i > 0) deps.push(previous ? previous.id : '(new)');
+    entry.data.depends_on = deps;
+    if (!entry.feature) return;
+
+    Object.keys(entry.data).forEach(function(field) {
+      if (JSON.stringify(entry.feature[field]) !== JSON.stringify(entry.data[field])) {
+        entry.changes.push({ field: field, from: entry.feature[field], to: entry.data[field] });
+      }
+    });
+    if (entry.status !== entry.feature.status) entry.changes.push({ field: 'status', from: entry.feature.status, to: entry.status });
+  });
+
+  return { entries: entries, orphans: matched.orphans };
+}
+
+/**
+ * Import one OpenSpec change into framework features, matching task groups
+ * to existing features as planImport does. Orphaned features are escalated
+ * (unless already complete) so autoplay leaves them to a human, or deleted
+ * with removeOrphans. With dryRun nothing is written and the result only
+ * carries the plan.
+ *
+ * Returns { ok, plan: [{ position, title, id, match, changes }], created,
+ * updated, unchanged, advanced, orphans: [{ id, description, action, error }],
+ * unmapped, total }; action is flagged, removed, complete or failed.
+ */
+function importChange(changeName, projectRoot, opts) {
+  opts = opts || {};
+  var loaded = loadChange(changeName, projectRoot);
+  if (!loaded.ok) return loaded;
+
+  db.open(projectRoot);
+  var planned = planImport(projectRoot, changeName, loaded);
+  var result = {
+    ok: true,
+    dryRun: Boolean(opts.dryRun),
+    plan: planned.entries.map(function(e) {
+      return { position: e.position, title: e.group.title, id: e.feature ? e.feature.id : null, match: e.match, changes: e.changes };
+    }),
+    created: [],
+    updated: [],
+    unchanged: [],
+    advanced: [],
+    orphans: planned.orphans.map(function(f) {
+      return { id: f.id, description: f.description, action: opts.removeOrphans ? 'removed' : f.status === 'complete' ? 'complete' : 'flagged', error: null };
+    }),
+    unmapped: loaded.mapping.unmapped.map(function(r) { return r.name; }),
+    total: loaded.taskGroups.length
+  };
+  if (opts.dryRun) return result;
+
+  var d = db.get(projectRoot);
+  // All or nothing: a feature that fails validation rolls the whole import back
+  d.transaction(function() {
+    // (change, group) is unique, so clear the old positions before assigning new ones
+    d.prepare('UPDATE features SET openspec_task_group = -rowid WHERE openspec_change_id = ?').run(changeName);
+
+    var ids = [];
+    planned.entries.forEach(function(entry, i) {
+      var data = Object.assign({}, entry.data, { depends_on: entry.data.depends_on.map(function(id) { return id === '(new)' ? ids[i - 1] : id; }) });
+      if (!entry.feature) {
+        var id = features.nextId(projectRoot);
+        features.create(projectRoot, Object.assign(data, {
+          id: id,
+          status: entry.status,
+          assigned_to: 'dev-agent',
+          reviewed_by: 'code-reviewer',
+          tested_by: 'qa-agent',
+          passes: false
+        }));
+        result.created.push(id);
+        ids.push(id);
+        return;
+      }
+
+      var feature = entry.feature;
+      ids.push(feature.id);
+      // Preserve status, passes and id; the status only moves forward, one legal step at a time
+      features.update(projectRoot, feature.id, data);
+      var from = PROGRESS.indexOf(feature.status);
+      for (var step = from + 1; from !== -1 && step <= PROGRESS.indexOf(entry.status); step++) {
+        features.update(projectRoot, feature.id, { status: PROGRESS[step] });
+      }
+      if (entry.status !== feature.status) result.advanced.push(feature.id);
+      (entry.changes.length > 0 ? result.updated : result.unchanged).push(feature.id);
+      var state = features.getPipelineState(projectRoot, feature.id);
+      if (state.escalated && state.escalation_reason.indexOf(ORPHANED) === 0) features.unescalate(projectRoot, feature.id);
+    });
+    recordImport(projectRoot, changeName, planned.entries, ids);
+
+    // Orphans leave the chain of dependencies first, so they can be deleted in any order
+    var orphanIds = planned.orphans.map(function(f) { return f.id; });
+    planned.orphans.forEach(function(feature, i) {
+      d.prepare('UPDATE features SET openspec_task_group = ? WHERE id = ?').run(loaded.taskGroups.length + i + 1, feature.id);
+      var deps = feature.depends_on.filter(function(id) { return ids.indexOf(id) === -1 && orphanIds.indexOf(id) === -1; });
+      if (deps.length !== feature.depends_on.length) features.update(projectRoot, feature.id, { depends_on: deps });
+    });
+    planned.orphans.forEach(function(feature, i) {
+      var orphan = result.orphans[i];
+      if (opts.removeOrphans) {
+        try {
+          features.remove(projectRoot, feature.id);
+        } catch (err) {
+          if (!err.code) throw err;
+          orphan.action = 'failed';
+          orphan.error = err.message;
+        }
+      } else if (orphan.action === 'flagged' && !features.getPipelineState(projectRoot, feature.id).escalated) {
+        features.escalate(projectRoot, feature.id, ORPHANED + ' task group "' + feature.description +
+          '" is no longer in openspec/changes/' + changeName + '/tasks.md');
+      }
+    });
+  })();
 
-  return { ok: true, created: created, updated: updated, total: taskGroups.length };
+  return result;
 }
 
 /**
- * Import all active changes.
+ * Import all active changes. opts as for importChange.
  */
-function importAll(projectRoot) {
+function importAll(projectRoot, opts) {
   if (!isInstalled()) {
     return { ok: false, error: 'OpenSpec CLI not installed. Run: npm install -g @fission-ai/openspec@latest' };
   }
@@ -310,13 +695,102 @@ function importAll(projectRoot) {
 
   var results = [];
   for (var i = 0; i < changes.length; i++) {
-    var r = importChange(changes[i], projectRoot);
+    var r = importChange(changes[i], projectRoot, opts);
     results.push({ change: changes[i], result: r });
   }
 
   return { ok: true, results: results };
 }
 
+/**
+ * Watch openspec/changes/ and re-import a change after its files are edited,
+ * so features appear while specs are being written. A change is imported once
+ * its files have gone debounceMs without another edit, and only once it has a
+ * tasks.md: a change being drafted would otherwise import as a single feature
+ * named after the change. Changes that already have features count as
+ * imported as they are when the watch starts; archived changes are left alone.
+ *
+ * opts: { interval: poll ms (1000), debounceMs (2000), onImport(change, result) },
+ * result as for importChange, or { ok: false, error } if it threw.
+ * Returns { poll, stop }; poll checks right away.
+ */
+function watchChanges(projectRoot, opts) {
+  opts = opts || {};
+  var debounceMs = opts.debounceMs === undefined ? 2000 : opts.debounceMs;
+  var imported = new Set(features.list(projectRoot).map(function(f) { return f.openspec_change_id; }));
+  var seen = changeSignatures(projectRoot);
+  seen.forEach(function(signature, change) {
+    if (!imported.has(change)) seen.delete(change);
+  });
+  var edited = new Map(); // change -> { signature, since }
+
+  function poll() {
+    var now = Date.now();
+    var current = changeSignatures(projectRoot);
+    seen.forEach(function(signature, change) {
+      if (!current.has(change)) seen.delete(change);
+    });
+    current.forEach(function(signature, change) {
+      if (seen.get(change) === signature) {
+        edited.delete(change);
+        return;
+      }
+      var edit = edited.get(change);
+      if (!edit || edit.signature !== signature) {
+        edit = { signature: signature, since: now };
+        edited.set(change, edit);
+      }
+      if (now - edit.since < debounceMs) return;
+
+      edited.delete(change);
+      seen.set(change, signature);
+      var result;
+      try {
+        result = importChange(change, projectRoot);
+      } catch (err) {
+        result = { ok: false, error: err.message };
+      }
+      if (opts.onImport) opts.onImport(change, result);
+    });
+  }
+
+  var timer = setInterval(poll, opts.interval || 1000);
+  return {
+    poll: poll,
+    stop: function() { clearInterval(timer); }
+  };
+}
+
+// Active changes with a tasks.md, each with a signature of its files' paths,
+// sizes and modification times
+function changeSignatures(projectRoot) {
+  var changesDir = path.join(projectRoot, 'openspec', 'changes');
+  var signatures = new Map();
+  if (!fs.existsSync(changesDir)) return signatures;
+
+  function walk(dir, parts) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(function(entry) {
+      var fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) return walk(fullPath, parts);
+      var stat = fs.statSync(fullPath);
+      parts.push(path.relative(changesDir, fullPath) + ':' + stat.size + ':' + stat.mtimeMs);
+    });
+    return parts;
+  }
+
+  fs.readdirSync(changesDir, { withFileTypes: true }).forEach(function(entry) {
+    if (!entry.isDirectory() || entry.name === 'archive') return;
+    var dir = path.join(changesDir, entry.name);
+    try {
+      if (fs.existsSync(path.join(dir, 'tasks.md'))) signatures.set(entry.name, walk(dir, []).sort().join('|'));
+    } catch (err) {
+      // Removed while being read; picked up on the next poll
+      if (err.code !== 'ENOENT') throw err;
+    }
+  });
+  return signatures;
+}
+
 /**
  * Check if all features from a change are complete, and archive if so.
  */
@@ -333,18 +807,199 @@ function maybeArchive(projectRoot, completedFeatureId) {
   // Only archive if ALL siblings are complete
   if (!siblings.every(function(f) { return f.status === 'complete'; })) return false;
 
-  return archiveChange(changeId, projectRoot);
+  if (!archiveChange(changeId, projectRoot)) return false;
+  webhooks.emit(projectRoot, 'openspec.archived', {
+    change_id: changeId,
+    features: siblings.map(function(f) { return f.id; })
+  });
+  return true;
+}
+
+/**
+ * Write pipeline progress back into a change's tasks.md, so people working in
+ * OpenSpec see it. The task group of a complete feature gets its open
+ * checkboxes ticked (none are ever unticked). Every group whose feature has
+ * left pending gets an HTML comment with the feature's ID and status at the
+ * end of its title line, e.g. "## 2. Sessions <!-- framework: FEAT-004 in-dev -->",
+ * which parseTaskGroups ignores. No other line is touched. Groups are matched
+ * to features as for import.
+ *
+ * Returns { ok, file, dryRun, changed, groups: [{ id, title, status, ticked,
+ * annotated }], unmatched: [id] } or { ok: false, error }; groups lists the
+ * groups whose line(s) changed, unmatched the features without a group.
+ */
+function syncBack(changeName, projectRoot, opts) {
+  opts = opts || {};
+  var relative = 'openspec/changes/' + changeName + '/tasks.md';
+  var file = path.join(projectRoot, relative);
+  if (!fs.existsSync(file)) return { ok: false, error: relative + ' not found.' };
+
+  var content = fs.readFileSync(file, 'utf8');
+  var eol = content.indexOf('\r\n') !== -1 ? '\r\n' : '\n';
+  var lines = content.replace(/\r\n?/g, '\n').split('\n');
+  var taskGroups = parseTaskGroups(content);
+  var existing = features.list(projectRoot).filter(function(f) { return f.openspec_change_id === changeName; });
+  var matched = matchGroups(projectRoot, changeName, existing, taskGroups);
+  var result = {
+    ok: true,
+    file: relative,
+    dryRun: Boolean(opts.dryRun),
+    changed: false,
+    groups: [],
+    unmatched: matched.orphans.map(function(f) { return f.id; })
+  };
+
+  taskGroups.forEach(function(group, g) {
+    if (!matched.matches[g]) return;
+    var feature = matched.matches[g].known.feature;
+    var ticked = 0;
+    if (feature.status === 'complete') {
+      var open = openTaskLines(group.tasks);
+      if (group.checked === false) open.unshift(group.line);
+      open.forEach(function(n) {
+        var line = lines[n].replace(CHECKBOX, '$1[x]');
+        if (line !== lines[n]) ticked++;
+        lines[n] = line;
+      });
+    }
+    var title = annotate(lines[group.line], feature.status === 'pending' ? '' : feature.id + ' ' + feature.status);
+    var annotated = title !== lines[group.line];
+    lines[group.line] = title;
+    if (ticked > 0 || annotated) {
+      result.groups.push({ id: feature.id, title: group.title, status: feature.status, ticked: ticked, annotated: annotated });
+    }
+  });
+
+  result.changed = result.groups.length > 0;
+  if (result.changed && !opts.dryRun) fs.writeFileSync(file, lines.join(eol), 'utf8');
+  return result;
+}
+
+/**
+ * syncBack every active change that has features. opts as for syncBack.
+ */
+function syncBackAll(projectRoot, opts) {
+  var changesDir = path.join(projectRoot, 'openspec', 'changes');
+  if (!fs.existsSync(changesDir)) {
+    return { ok: false, error: 'No OpenSpec project found. Run "openspec init" first.' };
+  }
+
+  var changes = [];
+  features.list(projectRoot).forEach(function(f) {
+    if (!f.openspec_change_id || changes.indexOf(f.openspec_change_id) !== -1) return;
+    if (fs.existsSync(path.join(changesDir, f.openspec_change_id))) changes.push(f.openspec_change_id);
+  });
+
+  return {
+    ok: true,
+    results: changes.map(function(change) { return { change: change, result: syncBack(change, projectRoot, opts) }; })
+  };
+}
+
+// An open checkbox after a list marker, heading and/or task number: "- [ ] 1.1 ...", "1. [ ] ...", "### 1.1 [ ] ..."
+var CHECKBOX = /^(\s*(?:#{1,6}\s+|(?:[-*+]|\d+[.)])\s+)(?:\d+(?:\.\d+)*[.)]?\s+)?)\[ \]/;
+// The comment syncBack puts on a group's title line
+var ANNOTATION = /[ \t]*<!-- framework: [^>]*-->/;
+
+// A title line with its syncBack comment replaced by one holding note (none if
+// note is empty), placed before a heading's closing hashes: "## 2. API <!-- ... --> ##"
+function annotate(line, note) {
+  line = line.replace(ANNOTATION, '');
+  if (!note) return line;
+  var at = /^\s*#/.test(line) ? line.search(/\s+#+\s*$/) : -1;
+  if (at === -1) at = line.length;
+  return line.slice(0, at) + ' <!-- framework: ' + note + ' -->' + line.slice(at);
+}
+
+// Lines of the tasks that have an unchecked checkbox, depth-first
+function openTaskLines(tasks) {
+  var lines = [];
+  for (var i = 0; i < tasks.length; i++) {
+    if (tasks[i].checked === false) lines.push(tasks[i].line);
+    lines = lines.concat(openTaskLines(tasks[i].children));
+  }
+  return lines;
 }
 
-// Find a feature by OpenSpec upsert key
-function findByOpenspecKey(projectRoot, changeId, taskGroup) {
+// Escalation reason prefix for features whose task group was removed
+var ORPHANED = 'Orphaned:';
+
+// Title and tasks of each of the change's features as of its last import
+function importRecords(projectRoot, changeName) {
   var d = db.get(projectRoot);
-  var row = d.prepare(
-    'SELECT * FROM features WHERE openspec_change_id = ? AND openspec_task_group = ?'
-  ).get(changeId, taskGroup);
-  if (!row) return null;
-  // Use the features module deserialize via get
-  return features.get(projectRoot, row.id);
+  var rows = d.prepare('SELECT feature_id, title, steps FROM openspec_imports WHERE change_id = ?').all(changeName);
+  return new Map(rows.map(function(r) { return [r.feature_id, { title: r.title, steps: JSON.parse(r.steps) }]; }));
+}
+
+// Pair task groups with the change's features: by title as of the last import,
+// then by tasks. Returns { matches: [{ known: { feature, title, steps }, match } | null]
+// per group, orphans: [feature] }.
+function matchGroups(projectRoot, changeName, existing, taskGroups) {
+  var records = importRecords(projectRoot, changeName);
+  var known = existing.map(function(f) {
+    var record = records.get(f.id);
+    return { feature: f, title: record ? record.title : f.description, steps: record ? record.steps : f.requirements };
+  });
+  var used = new Set();
+  var matches = taskGroups.map(function() { return null; });
+
+  taskGroups.forEach(function(group, g) {
+    var title = normalizeTitle(group.title);
+    var hit = known.find(function(k) { return !used.has(k) && normalizeTitle(k.title) === title; });
+    if (hit) {
+      used.add(hit);
+      matches[g] = { known: hit, match: 'title' };
+    }
+  });
+  taskGroups.forEach(function(group, g) {
+    if (matches[g] || group.steps.length === 0) return;
+    var best = null;
+    var bestScore = 0.5;
+    known.forEach(function(k) {
+      if (used.has(k)) return;
+      var score = similarity(group.steps, k.steps);
+      if (score >= bestScore) {
+        best = k;
+        bestScore = score;
+      }
+    });
+    if (best) {
+      used.add(best);
+      matches[g] = { known: best, match: 'content' };
+    }
+  });
+
+  return {
+    matches: matches,
+    orphans: known.filter(function(k) { return !used.has(k); }).map(function(k) { return k.feature; })
+  };
+}
+
+function recordImport(projectRoot, changeName, entries, ids) {
+  var d = db.get(projectRoot);
+  var upsert = d.prepare(`
+    INSERT INTO openspec_imports (feature_id, change_id, title, steps, imported_at) VALUES (?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(feature_id) DO UPDATE SET change_id = excluded.change_id, title = excluded.title,
+      steps = excluded.steps, imported_at = excluded.imported_at
+  `);
+  d.transaction(function() {
+    entries.forEach(function(entry, i) {
+      upsert.run(ids[i], changeName, entry.group.title, JSON.stringify(entry.group.steps));
+    });
+  })();
+}
+
+function normalizeTitle(title) {
+  return String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Share of tasks two groups have in common (Jaccard index of their normalized texts)
+function similarity(a, b) {
+  var left = new Set(a.map(normalizeTitle));
+  var right = new Set(b.map(normalizeTitle));
+  var common = Array.from(left).filter(function(x) { return right.has(x); }).length;
+  var all = new Set(Array.from(left).concat(Array.from(right))).size;
+  return all === 0 ? 0 : common / all;
 }
 
 module.exports = {
@@ -357,6 +1012,10 @@ module.exports = {
   archiveChange,
   importChange,
   importAll,
+  watchChanges,
   maybeArchive,
-  parseTaskGroups
+  syncBack,
+  syncBackAll,
+  parseTaskGroups,
+  taskGroupStatus
 };
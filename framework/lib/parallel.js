@@ -0,0 +1,181 @@
+/**
+ * Parallel Orchestrator
+ *
+ * Runs up to N features at once, each in its own git worktree on its own
+ * feature/<id> branch:
+ *
+ *   .framework/worktrees/feat-001  (feature/feat-001)
+ *   .framework/worktrees/feat-002  (feature/feat-002)
+ *
+ * Each worktree gets a .framework symlink back to the main checkout, so agents
+ * running `node .framework/bin/framework.js -p .` share the same DB.
+ *
+ * A feature is only started once its dependencies are complete (merged), so its
+ * branch, cut from the main checkout's HEAD, already contains their code.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const features = require('./features');
+const autoplay = require('./autoplay');
+const sessions = require('./sessions');
+
+function worktreeDir(projectRoot, featureId) {
+  return path.join(projectRoot, '.framework', 'worktrees', featureId.toLowerCase());
+}
+
+function branchName(featureId) {
+  return 'feature/' + featureId.toLowerCase();
+}
+
+// Create (or reuse) the worktree for a feature. Throws if git refuses.
+function ensureWorktree(projectRoot, feature) {
+  const dir = worktreeDir(projectRoot, feature.id);
+  if (fs.existsSync(dir)) return dir;
+
+  const branch = branchName(feature.id);
+  const hasBranch = autoplay.git(['rev-parse', '--verify', '--quiet', 'refs/heads/' + branch], projectRoot).code === 0;
+  const args = hasBranch ? ['worktree', 'add', dir, branch] : ['worktree', 'add', '-b', branch, dir];
+  const result = autoplay.git(args, projectRoot);
+  if (result.code !== 0) {
+    throw new Error('git worktree add failed for ' + feature.id + ': ' + result.stderr);
+  }
+
+  fs.symlinkSync(path.join(projectRoot, '.framework'), path.join(dir, '.framework'), 'dir');
+  return dir;
+}
+
+function removeWorktree(projectRoot, featureId) {
+  const dir = worktreeDir(projectRoot, featureId);
+  if (!fs.existsSync(dir)) return;
+  const result = autoplay.git(['worktree', 'remove', '--force', dir], projectRoot);
+  if (result.code !== 0) console.log(featureId + ': could not remove worktree: ' + result.stderr);
+}
+
+// The .framework symlink is a file to git, so the directory-only ".framework/"
+// ignore rule misses it. Exclude it for every worktree via the shared info/exclude.
+function excludeFrameworkLink(projectRoot) {
+  const common = autoplay.git(['rev-parse', '--git-common-dir'], projectRoot);
+  if (common.code !== 0) return;
+  const excludeFile = path.join(path.resolve(projectRoot, common.stdout), 'info', 'exclude');
+  const current = fs.existsSync(excludeFile) ? fs.readFileSync(excludeFile, 'utf8') : '';
+  if (current.split('\n').includes('.framework')) return;
+  fs.mkdirSync(path.dirname(excludeFile), { recursive: true });
+  fs.appendFileSync(excludeFile, (current && !current.endsWith('\n') ? '\n' : '') + '.framework\n');
+}
+
+// Counterpart of autoplay.runAgentSession, run inside the feature's worktree
+function runAgentSessionAsync(action, feature, config, cwd) {
+  const begun = autoplay.beginAgentSession(action, feature, config);
+  if (!begun) return Promise.resolve(null);
+
+  const prefix = '[' + feature.id + ' ' + action + '] ';
+  console.log(prefix + 'Spawning ' + begun.label + ' (' + begun.settings.model + ') in ' + path.relative(config.projectRoot, cwd) +
+    ', transcript ' + begun.session.log_path);
+  return autoplay.spawnAgent(begun, config, { cwd: cwd, prefix: prefix });
+}
+
+// One pipeline step for one feature. Mirrors the body of runOrchestratorMode's loop.
+async function runStep(next, config, waiting) {
+  const projectRoot = config.projectRoot;
+  const action = next.action;
+  const feature = next.feature;
+
+  if (action === 'pr') {
+    const cwd = ensureWorktree(projectRoot, feature);
+    autoplay.createPR(feature, config, { cwd: cwd });
+    return;
+  }
+
+  if (action === 'merge') {
+    const cwd = fs.existsSync(worktreeDir(projectRoot, feature.id)) ? worktreeDir(projectRoot, feature.id) : null;
+    if (autoplay.mergePR(feature, config, { cwd: cwd })) {
+      removeWorktree(projectRoot, feature.id);
+    } else if (config.safeMode || !config.autoMerge) {
+      console.log(feature.id + ': safe mode — skipping merge, moving to next feature.');
+      waiting.add(feature.id);
+    } else {
+      features.escalate(projectRoot, feature.id, 'merge failed');
+    }
+    return;
+  }
+
+  const overBudget = autoplay.checkBudget(projectRoot, feature, config);
+  if (overBudget === 'run') config.budgetReached = true;
+  if (overBudget) return;
+
+  if (!autoplay.consumeRetry(projectRoot, action, feature, config)) return;
+
+  const cwd = ensureWorktree(projectRoot, feature);
+  const run = await runAgentSessionAsync(action, feature, config, cwd);
+  autoplay.checkProgress(projectRoot, action, feature, run, config);
+  autoplay.maybeSyncBack(feature, config);
+}
+
+// opts.budgetUsd overrides budget_usd_per_run, as for runOrchestratorMode
+async function runParallelMode(projectRoot, concurrency, opts) {
+  const config = autoplay.startRun(projectRoot, opts);
+  const limit = Math.max(1, parseInt(concurrency, 10) || 1);
+  const running = new Map(); // featureId -> promise of its current step
+  const waiting = new Set();  // PRs left for a human to merge this run (safe mode)
+
+  if (autoplay.git(['rev-parse', '--is-inside-work-tree'], projectRoot).code !== 0) {
+    throw new Error('Parallel mode needs a git repository: ' + projectRoot);
+  }
+
+  console.log('=== AUTOPLAY: PARALLEL ORCHESTRATOR MODE ===');
+  console.log('Workers: ' + limit);
+  console.log('Model: ' + config.model);
+  console.log('Agent runner: ' + config.agentRunner);
+  console.log('Max retries: ' + config.maxRetries);
+  console.log('Safe mode: ' + config.safeMode);
+  if (config.runBudgetUsd !== null) console.log('Run budget: $' + config.runBudgetUsd.toFixed(2));
+  console.log('');
+
+  autoplay.runAutoImport(config);
+  const watcher = autoplay.startOpenspecWatch(config);
+  // Agents work in worktrees, so the log is only compacted once, before they start
+  autoplay.compactProgress(config);
+  excludeFrameworkLink(projectRoot);
+
+  while (true) {
+    const busy = new Set(Array.from(running.keys()).concat(Array.from(waiting)));
+    // Once the run budget is spent, let running steps finish but start nothing new
+    const batch = config.budgetReached ? []
+      : autoplay.getNextActions(projectRoot, { skip: busy, limit: limit - running.size, depsMerged: true });
+
+    for (const next of batch) {
+      const id = next.feature.id;
+      const step = runStep(next, config, waiting)
+        .catch((err) => {
+          console.log('[' + id + '] ' + err.message + ' Escalating.');
+          features.escalate(projectRoot, id, err.message);
+        })
+        .then(() => { running.delete(id); });
+      running.set(id, step);
+    }
+
+    if (running.size === 0) break;
+    await Promise.race(running.values());
+  }
+  if (watcher) watcher.stop();
+
+  const all = features.list(projectRoot);
+  const complete = all.filter(f => f.status === 'complete').length;
+  console.log('\n' + (config.budgetReached ? 'Stopped at run budget. ' : 'No actionable features. ') + complete + '/' + all.length + ' complete.');
+  if (waiting.size > 0) {
+    console.log('Waiting for human merge: ' + Array.from(waiting).join(', '));
+  }
+  const escalated = features.listEscalated(projectRoot);
+  if (escalated.length > 0) {
+    console.log('Escalated (need human): ' + escalated.map(s => s.feature_id).join(', '));
+  }
+  const blocked = all.filter(f => f.status !== 'complete' && !features.depsAreMet(projectRoot, f.id, { merged: true }));
+  if (blocked.length > 0) {
+    console.log('Blocked until dependencies are merged: ' + blocked.map(f => f.id).join(', '));
+  }
+  console.log('Run cost: $' + sessions.totalCost(projectRoot, { sinceId: config.runStartSessionId }).toFixed(4));
+  await autoplay.emitPipelineFinished(config, 'parallel', waiting);
+}
+
+module.exports = { runParallelMode, ensureWorktree, removeWorktree, worktreeDir };
@@ -0,0 +1,219 @@
+/**
+ * Progress Log
+ *
+ * Agents record what they did with `framework progress add`: a summary plus
+ * done / next / blocker items. Entries are stored in the DB and appended to
+ * claude-progress.txt at the project root, which agents read at the start of
+ * every session.
+ *
+ * Left alone the file grows until it crowds the agents' context, so autoplay
+ * compacts it: once it passes progress_compact_threshold lines, all but the last
+ * progress_keep_recent "Session" blocks are replaced by one line per feature on
+ * its outcome so far, built from the sessions, reviews and progress entries in
+ * the DB rather than from the text being dropped. Text before the first Session
+ * block, such as the header init.sh writes, is kept as it is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const features = require('./features');
+const reviews = require('./reviews');
+const sessions = require('./sessions');
+
+const ROLES = ['dev', 'review', 'qa', 'lead', 'human'];
+const ITEMS = { done: 'Done', next: 'Next', blockers: 'Blocker' };
+const SUMMARY = /=== COMPACTED HISTORY ===\nSessions 1-(\d+)[\s\S]*?=== END COMPACTED HISTORY ===\n*/;
+
+function filePath(projectRoot) {
+  return path.join(projectRoot, 'claude-progress.txt');
+}
+
+// Record an entry and append it to claude-progress.txt. Made during an agent
+// session for the feature, the entry is linked to it and takes its role.
+// Returns { ok: true, entry } or { ok: false, error }.
+function add(projectRoot, { featureId, role, summary, done, next, blockers } = {}) {
+  if (!summary || !String(summary).trim()) return { ok: false, error: 'A progress entry needs a summary.' };
+  if (featureId && !features.get(projectRoot, featureId)) return { ok: false, error: 'Feature ' + featureId + ' not found.' };
+  if (role && !ROLES.includes(role)) return { ok: false, error: 'Unknown role "' + role + '". Valid: ' + ROLES.join(', ') };
+
+  const d = db.get(projectRoot);
+  const session = featureId ? d.prepare(`
+    SELECT id, agent_role FROM sessions
+    WHERE feature_id = @featureId AND ended_at IS NULL AND (@role IS NULL OR agent_role = @role)
+    ORDER BY id DESC LIMIT 1
+  `).get({ featureId: featureId, role: role || null }) : null;
+
+  const info = d.prepare(`
+    INSERT INTO progress_entries (feature_id, role, summary, done, next, blockers, session_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    featureId || null,
+    role || (session && ROLES.includes(session.agent_role) ? session.agent_role : 'human'),
+    String(summary).trim(),
+    JSON.stringify(done || []),
+    JSON.stringify(next || []),
+    JSON.stringify(blockers || []),
+    session ? session.id : null
+  );
+
+  const entry = getEntry(projectRoot, info.lastInsertRowid);
+  const file = filePath(projectRoot);
+  const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  const gap = !existing || existing.endsWith('\n\n') ? '' : existing.endsWith('\n') ? '\n' : '\n\n';
+  fs.appendFileSync(file, gap + formatEntry(entry) + '\n', 'utf8');
+  return { ok: true, entry: entry };
+}
+
+// Entries, oldest first
+function list(projectRoot, { featureId, role, limit } = {}) {
+  const d = db.get(projectRoot);
+  let sql = `
+    SELECT p.*, s.session_number FROM progress_entries p LEFT JOIN sessions s ON s.id = p.session_id
+    WHERE (@featureId IS NULL OR p.feature_id = @featureId) AND (@role IS NULL OR p.role = @role)
+    ORDER BY p.id`;
+  const params = { featureId: featureId || null, role: role || null };
+  if (limit) {
+    // Most recent N, still returned oldest-first
+    sql = 'SELECT * FROM (' + sql + ' DESC LIMIT @limit) ORDER BY id';
+    params.limit = parseInt(limit, 10);
+  }
+  return d.prepare(sql).all(params).map(deserialize);
+}
+
+// An entry as a "Session" block of claude-progress.txt
+function formatEntry(entry) {
+  const who = [entry.role, entry.feature_id].filter(Boolean).join(', ');
+  const lines = [
+    'Session' + (entry.session_number ? ' ' + entry.session_number : '') + ' (' + who + '), ' + entry.created_at + ' UTC',
+    entry.summary
+  ];
+  for (const key of Object.keys(ITEMS)) {
+    for (const item of entry[key]) lines.push('- ' + ITEMS[key] + ': ' + item);
+  }
+  return lines.join('\n');
+}
+
+// One line on a feature's outcome so far: status, sessions per role and their
+// cost, review verdicts, open findings and, while unfinished, current blockers
+function featureSummary(projectRoot, feature) {
+  const runs = sessions.list(projectRoot, { featureId: feature.id });
+  const verdicts = reviews.list(projectRoot, { featureId: feature.id });
+  const open = reviews.openFindings(projectRoot, feature.id);
+  const latest = list(projectRoot, { featureId: feature.id, limit: 1 })[0];
+
+  const parts = [feature.status + (feature.passes && feature.status !== 'complete' ? ', QA passed' : '')];
+  if (runs.length > 0) {
+    const cost = runs.reduce((sum, s) => sum + (s.cost_usd || 0), 0);
+    parts.push(plural(runs.length, 'session') + ' (' + tally(runs.map(s => s.agent_role)) + ')' +
+      (cost > 0 ? ', $' + cost.toFixed(2) : ''));
+  }
+  if (verdicts.length > 0) {
+    const last = verdicts[verdicts.length - 1];
+    parts.push('reviews: ' + tally(verdicts.map(r => r.verdict)) + ', last ' + last.reviewer + ' ' + last.verdict +
+      (open.length > 0 ? ', ' + plural(open.length, 'finding') + ' open' : ''));
+  }
+  if (latest && latest.blockers.length > 0 && feature.status !== 'complete') {
+    parts.push('blocked: ' + latest.blockers.join('; '));
+  }
+  return '- ' + feature.id + ' ' + feature.description + ': ' + parts.join('. ') + '.';
+}
+
+// Compact the log if it is over the threshold (any size, with force). Returns
+// { before, after } line counts, or null if there was nothing to do.
+function compact(projectRoot, { threshold, keepRecent, force } = {}) {
+  const file = filePath(projectRoot);
+  if (!fs.existsSync(file)) return null;
+
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  if (!force && lines.length < threshold) return null;
+
+  const { preamble, earlier, blocks } = splitLog(lines);
+  if (blocks.length <= keepRecent) return null;
+
+  const old = keepRecent > 0 ? blocks.slice(0, -keepRecent) : blocks;
+  const recent = keepRecent > 0 ? blocks.slice(-keepRecent) : [];
+  // An earlier summary is replaced; the sessions it covered still count
+  const sessionCount = old.length + earlier;
+  const covered = features.list(projectRoot).filter(f => hasActivity(projectRoot, f.id));
+
+  const summary = [
+    '=== COMPACTED HISTORY ===',
+    'Sessions 1-' + sessionCount + ', compacted ' + new Date().toISOString() + '. Outcome per feature so far:'
+  ].concat(covered.map(f => featureSummary(projectRoot, f)), ['=== END COMPACTED HISTORY ===', '', '']).join('\n');
+  const text = (preamble ? preamble + '\n\n' : '') + summary + recent.join('\n');
+  fs.writeFileSync(file, text, 'utf8');
+  return { before: lines.length, after: text.split('\n').length };
+}
+
+// Helpers
+
+function getEntry(projectRoot, id) {
+  const d = db.get(projectRoot);
+  const row = d.prepare(`
+    SELECT p.*, s.session_number FROM progress_entries p LEFT JOIN sessions s ON s.id = p.session_id WHERE p.id = ?
+  `).get(id);
+  return row ? deserialize(row) : null;
+}
+
+function hasActivity(projectRoot, featureId) {
+  const d = db.get(projectRoot);
+  return Boolean(d.prepare(`
+    SELECT 1 FROM sessions WHERE feature_id = @id
+    UNION ALL SELECT 1 FROM reviews WHERE feature_id = @id
+    UNION ALL SELECT 1 FROM progress_entries WHERE feature_id = @id
+    LIMIT 1
+  `).get({ id: featureId }));
+}
+
+// ['dev', 'dev', 'review'] -> 'dev 2, review 1'
+function tally(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  return Array.from(counts, ([value, n]) => value + ' ' + n).join(', ');
+}
+
+function plural(n, word) {
+  return n + ' ' + word + (n === 1 ? '' : 's');
+}
+
+// Split the log into the text before the first "Session" line and the blocks that
+// each start at one. A summary left by an earlier compaction is taken out of the
+// leading text: returns { preamble, earlier, blocks }, earlier being the number of
+// sessions that summary covered (0 if there is none) and preamble the rest, trimmed.
+function splitLog(lines) {
+  let first = lines.findIndex(line => /^Session\b/.test(line));
+  if (first === -1) first = lines.length;
+  let leading = lines.slice(0, first).join('\n');
+  const summary = SUMMARY.exec(leading);
+  if (summary) leading = leading.slice(0, summary.index) + leading.slice(summary.index + summary[0].length);
+
+  const blocks = [];
+  let current = [];
+  for (const line of lines.slice(first)) {
+    if (/^Session\b/.test(line) && current.length > 0) {
+      blocks.push(current.join('\n'));
+      current = [];
+    }
+    current.push(line);
+  }
+  if (current.length > 0) blocks.push(current.join('\n'));
+  return { preamble: leading.replace(/\s+$/, ''), earlier: summary ? parseInt(summary[1], 10) : 0, blocks: blocks };
+}
+
+function deserialize(row) {
+  return {
+    id: row.id,
+    feature_id: row.feature_id,
+    role: row.role,
+    summary: row.summary,
+    done: JSON.parse(row.done),
+    next: JSON.parse(row.next),
+    blockers: JSON.parse(row.blockers),
+    session_id: row.session_id,
+    session_number: row.session_number || null,
+    created_at: row.created_at
+  };
+}
+
+module.exports = { ROLES, filePath, add, list, formatEntry, featureSummary, compact };
@@ -0,0 +1,262 @@
+/**
+ * Prompt Templates
+ *
+ * Agent prompt files (agent-prompts/*.md) may use a small Handlebars-like syntax,
+ * rendered against the feature being worked on:
+ *
+ *   {{feature.id}}                      variable (dotted path); unknown names render empty
+ *   {{#if needs_revision}}...{{else}}...{{/if}}
+ *   {{#unless review.findings}}...{{/unless}}
+ *   {{#each feature.requirements}}- {{this}}{{/each}}   also {{@index}} (from 0), {{@number}} (from 1)
+ *   {{! comment }}                      dropped from the output
+ *   \{{                                 a literal "{{"
+ *
+ * A block tag or comment alone on its line takes the whole line with it, so
+ * templates can be laid out one tag per line without leaving blank lines behind.
+ *
+ * Template mode is opt-in by file name: only *.tmpl.md files are rendered, and they
+ * control their own layout, placing {{principles}} and {{task}} themselves. Any other
+ * prompt file is sent as written, "{{" included, with the architecture section and
+ * the default task for the role (TASKS) appended after it (LAYOUT).
+ */
+
+// Default task instructions per role; rendered with the same context as the prompt file
+const TASKS = {
+  dev: [
+    'Your assigned feature is {{feature.id}}: "{{feature.description}}"',
+    '{{#if needs_revision}}',
+    '{{revision_feedback}}',
+    '{{/if}}',
+    'Feature details:',
+    '{{feature_json}}',
+    'Implement with full architecture compliance. When done, set status to ready-for-review.'
+  ].join('\n'),
+  review: [
+    'Review feature {{feature.id}}: "{{feature.description}}"',
+    'Feature details:',
+    '{{feature_json}}',
+    'Execute ALL verification_steps for ALL principles. Approve or reject with specific evidence.',
+    'Record your verdict with `{{cli}} review add {{feature.id}} --role review` before updating the status.'
+  ].join('\n'),
+  qa: [
+    'Test feature {{feature.id}}: "{{feature.description}}"',
+    'Feature details:',
+    '{{feature_json}}',
+    'Execute ALL verification_steps. If all pass: set passes true (do NOT set status to complete — the orchestrator handles that). If any fail: set status to needs-revision.',
+    'Record your verdict with `{{cli}} review add {{feature.id}} --role qa` before updating the feature.'
+  ].join('\n')
+};
+
+// How a prompt file without tags is combined with the architecture and the task
+const LAYOUT = '{{prompt}}\n\n{{#if principles}}{{principles}}\n\n{{/if}}=== YOUR TASK THIS SESSION ===\n\n{{task}}';
+
+const TAG = /\\?\{\{([\s\S]*?)\}\}/g;
+const PATH = /^(?:this|@index|@number|[A-Za-z_][\w-]*)(?:\.[A-Za-z_][\w-]*)*$/;
+const BLOCKS = ['if', 'unless', 'each'];
+
+const TEMPLATE_SUFFIX = '.tmpl.md';
+
+// True if the prompt file at this path is rendered as a template
+function isTemplate(file) {
+  return String(file).toLowerCase().endsWith(TEMPLATE_SUFFIX);
+}
+
+// True if the text contains template tags (an escaped \{{ does not count)
+function hasTags(text) {
+  return /(^|[^\\])\{\{/.test(text);
+}
+
+// Render a template. Returns { text, missing }, missing listing the variables that
+// resolved to nothing (usually typos). Syntax errors throw with code TEMPLATE_SYNTAX
+// and the line number; `name` (e.g. the file path) prefixes the message.
+function render(template, context, { name } = {}) {
+  const tree = parse(String(template), name || 'template');
+  const missing = [];
+  const text = evaluate(tree, [{ value: context }], missing);
+  return { text: text, missing: missing };
+}
+
+// Parse a template without rendering it. Returns the syntax error render() would
+// throw (code TEMPLATE_SYNTAX), or null.
+function check(template, { name } = {}) {
+  try {
+    parse(String(template), name || 'template');
+    return null;
+  } catch (err) {
+    if (err.code !== 'TEMPLATE_SYNTAX') throw err;
+    return err;
+  }
+}
+
+// Helpers
+
+function syntaxError(name, line, message) {
+  const err = new Error(name + ':' + line + ': ' + message);
+  err.code = 'TEMPLATE_SYNTAX';
+  err.line = line;
+  return err;
+}
+
+// Split the template into text and tag tokens, dropping the rest of the line
+// around standalone block tags and comments
+function tokenize(template, name) {
+  const tokens = [];
+  let last = 0;
+  let match;
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(template))) {
+    if (match.index > last) tokens.push(text(template.slice(last, match.index)));
+    const line = template.slice(0, match.index).split('\n').length;
+    if (match[0][0] === '\\') {
+      tokens.push(text(match[0].slice(1)));
+    } else {
+      tokens.push(tag(match[1].trim(), line, name));
+    }
+    last = TAG.lastIndex;
+  }
+  if (last < template.length) tokens.push(text(template.slice(last)));
+
+  tokens.forEach((token, i) => {
+    if (token.type === 'text' || token.type === 'var') return;
+    const before = i === 0 ? null : tokens[i - 1];
+    const after = i === tokens.length - 1 ? null : tokens[i + 1];
+    if ((before && before.type !== 'text') || (after && after.type !== 'text')) return;
+    // Decided on the original text, so consecutive standalone lines all qualify
+    const lead = before ? /(^|\n)[ \t]*$/.exec(before.raw) : true;
+    const trail = after ? /^[ \t]*(\r?\n|$)/.test(after.raw) : true;
+    if (!lead || !trail || (before && lead[1] === '' && i > 1)) return;
+    if (before) before.value = before.value.replace(/[ \t]*$/, '');
+    if (after) after.value = after.value.replace(/^[ \t]*\r?\n?/, '');
+  });
+  return tokens;
+}
+
+function text(value) {
+  return { type: 'text', value: value, raw: value };
+}
+
+function tag(body, line, name) {
+  if (body[0] === '!') return { type: 'comment', line: line };
+  const open = /^#(\w+)\s*(.*)$/.exec(body);
+  if (open) {
+    if (!BLOCKS.includes(open[1])) throw syntaxError(name, line, 'unknown block {{#' + open[1] + '}}. Known: ' + BLOCKS.join(', '));
+    if (!PATH.test(open[2])) throw syntaxError(name, line, '{{#' + open[1] + '}} needs a variable, got "' + open[2] + '"');
+    return { type: 'open', block: open[1], path: open[2], line: line };
+  }
+  const close = /^\/(\w+)$/.exec(body);
+  if (close) return { type: 'close', block: close[1], line: line };
+  if (body === 'else') return { type: 'else', line: line };
+  if (!PATH.test(body)) throw syntaxError(name, line, 'invalid tag {{' + body + '}} (write \\{{ for a literal "{{")');
+  return { type: 'var', path: body, line: line };
+}
+
+// Tokens -> tree of text, var and block nodes
+function parse(template, name) {
+  const root = { body: [] };
+  const stack = [root];
+  for (const token of tokenize(template, name)) {
+    const current = stack[stack.length - 1];
+    const target = current.alternate || current.body;
+    if (token.type === 'text') {
+      if (token.value) target.push(token);
+    } else if (token.type === 'var') {
+      target.push(token);
+    } else if (token.type === 'open') {
+      const node = { type: 'block', block: token.block, path: token.path, line: token.line, body: [], alternate: null };
+      target.push(node);
+      stack.push(node);
+    } else if (token.type === 'else') {
+      if (stack.length === 1) throw syntaxError(name, token.line, '{{else}} outside a block');
+      if (current.alternate) throw syntaxError(name, token.line, 'second {{else}} in {{#' + current.block + '}} from line ' + current.line);
+      current.alternate = [];
+    } else if (token.type === 'close') {
+      if (stack.length === 1) throw syntaxError(name, token.line, '{{/' + token.block + '}} without an opening {{#' + token.block + '}}');
+      if (token.block !== current.block) {
+        throw syntaxError(name, token.line, '{{/' + token.block + '}} closes {{#' + current.block + '}} from line ' + current.line);
+      }
+      stack.pop();
+    }
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw syntaxError(name, open.line, '{{#' + open.block + ' ' + open.path + '}} is never closed');
+  }
+  return root.body;
+}
+
+function evaluate(nodes, scopes, missing) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      out += node.value;
+      continue;
+    }
+    const value = lookup(node.path, scopes, missing);
+    if (node.type === 'var') {
+      out += format(value);
+    } else if (node.block === 'each') {
+      const items = Array.isArray(value) ? value : [];
+      if (items.length === 0) {
+        out += evaluate(node.alternate || [], scopes, missing);
+      } else {
+        items.forEach((item, i) => {
+          out += evaluate(node.body, scopes.concat({ value: item, index: i }), missing);
+        });
+      }
+    } else {
+      const yes = node.block === 'if' ? truthy(value) : !truthy(value);
+      out += evaluate(yes ? node.body : node.alternate || [], scopes, missing);
+    }
+  }
+  return out;
+}
+
+// Resolve a dotted path: `this` and @-variables refer to the innermost {{#each}} item;
+// other names are looked up in each item from the innermost out, then the context
+function lookup(path, scopes, missing) {
+  const top = scopes[scopes.length - 1];
+  const keys = path.split('.');
+  if (keys[0] === '@index' || keys[0] === '@number') {
+    if (top.index === undefined) return note(path, missing);
+    return keys[0] === '@index' ? top.index : top.index + 1;
+  }
+
+  let value;
+  if (keys[0] === 'this') {
+    value = top.value;
+    keys.shift();
+  } else {
+    const scope = scopes.slice().reverse().find(s => isObject(s.value) && Object.prototype.hasOwnProperty.call(s.value, keys[0]));
+    if (!scope) return note(path, missing);
+    value = scope.value;
+  }
+  for (const key of keys) {
+    if (!isObject(value) || !Object.prototype.hasOwnProperty.call(value, key)) return note(path, missing);
+    value = value[key];
+  }
+  return value;
+}
+
+function note(path, missing) {
+  if (!missing.includes(path)) missing.push(path);
+  return undefined;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// Strings as-is, lists of plain values comma-separated, anything else as JSON
+function format(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value) && value.every(v => v === null || typeof v !== 'object')) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+module.exports = { TASKS, LAYOUT, isTemplate, hasTags, render, check };
@@ -0,0 +1,176 @@
+/**
+ * Review Verdicts
+ *
+ * Code reviewers and QA agents record each verdict with `framework review add`:
+ * approved or rejected, a pass/fail result per architecture_compliance principle,
+ * and findings pinned to a file and line. Open findings are injected into the dev
+ * agent's prompt when the feature comes back for revision.
+ *
+ * A new review from the same reviewer role supersedes that role's earlier
+ * findings (they are marked resolved), since the reviewer re-checks everything.
+ * `framework review resolve <id>` dismisses one by hand.
+ */
+
+const db = require('./db');
+const features = require('./features');
+
+const REVIEWERS = ['review', 'qa'];
+const RESULTS = ['pass', 'fail'];
+
+// Accepted spellings of the two verdicts
+const VERDICTS = {
+  approved: 'approved', approve: 'approved', passed: 'approved', pass: 'approved',
+  rejected: 'rejected', reject: 'rejected', failed: 'rejected', fail: 'rejected'
+};
+
+// Record a verdict. principles: { P1: 'pass', ... }; findings: [{ principle, file, line, message }].
+// Returns { ok: true, review } or { ok: false, error }.
+function add(projectRoot, { featureId, reviewer, verdict, principles, findings, summary } = {}) {
+  const feature = features.get(projectRoot, featureId);
+  if (!feature) return { ok: false, error: 'Feature ' + featureId + ' not found.' };
+  if (!REVIEWERS.includes(reviewer)) {
+    return { ok: false, error: 'Unknown reviewer "' + reviewer + '". Valid: ' + REVIEWERS.join(', ') };
+  }
+  const normalized = VERDICTS[String(verdict || '').toLowerCase()];
+  if (!normalized) return { ok: false, error: 'Verdict must be approved or rejected.' };
+
+  const results = principles || {};
+  const items = findings || [];
+  const problem = validate(feature, normalized, results, items);
+  if (problem) return { ok: false, error: problem };
+
+  const d = db.get(projectRoot);
+  const session = d.prepare(`
+    SELECT id FROM sessions WHERE feature_id = ? AND agent_role = ? AND ended_at IS NULL ORDER BY id DESC LIMIT 1
+  `).get(featureId, reviewer);
+
+  const id = d.transaction(() => {
+    d.prepare(`
+      UPDATE review_findings SET resolved_at = datetime('now')
+      WHERE resolved_at IS NULL AND review_id IN (SELECT id FROM reviews WHERE feature_id = ? AND reviewer = ?)
+    `).run(featureId, reviewer);
+
+    const info = d.prepare(`
+      INSERT INTO reviews (feature_id, reviewer, verdict, principles, summary, session_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(featureId, reviewer, normalized, JSON.stringify(results), summary || '', session ? session.id : null);
+
+    const insert = d.prepare(`
+      INSERT INTO review_findings (review_id, principle, file, line, message) VALUES (?, ?, ?, ?, ?)
+    `);
+    for (const f of items) {
+      insert.run(info.lastInsertRowid, f.principle || '', f.file || '', f.line || null, f.message.trim());
+    }
+    return info.lastInsertRowid;
+  })();
+
+  return { ok: true, review: getReview(projectRoot, id) };
+}
+
+// Reviews, oldest first, each with its findings
+function list(projectRoot, { featureId, reviewer } = {}) {
+  const d = db.get(projectRoot);
+  const rows = d.prepare(`
+    SELECT * FROM reviews
+    WHERE (@featureId IS NULL OR feature_id = @featureId) AND (@reviewer IS NULL OR reviewer = @reviewer)
+    ORDER BY id
+  `).all({ featureId: featureId || null, reviewer: reviewer || null });
+  return rows.map(row => deserialize(d, row));
+}
+
+function getReview(projectRoot, id) {
+  const d = db.get(projectRoot);
+  const row = d.prepare('SELECT * FROM reviews WHERE id = ?').get(id);
+  return row ? deserialize(d, row) : null;
+}
+
+// Unresolved findings for a feature, oldest first, with the reviewer that raised them
+function openFindings(projectRoot, featureId) {
+  const d = db.get(projectRoot);
+  return d.prepare(`
+    SELECT f.*, r.reviewer, r.created_at FROM review_findings f JOIN reviews r ON r.id = f.review_id
+    WHERE r.feature_id = ? AND f.resolved_at IS NULL
+    ORDER BY f.id
+  `).all(featureId);
+}
+
+// Mark findings resolved. Returns how many were still open.
+function resolve(projectRoot, findingIds) {
+  const d = db.get(projectRoot);
+  const stmt = d.prepare("UPDATE review_findings SET resolved_at = datetime('now') WHERE id = ? AND resolved_at IS NULL");
+  return d.transaction(() => findingIds.reduce((n, id) => n + stmt.run(id).changes, 0))();
+}
+
+// Parse a finding written on the command line: "[P2] src/db.js:42: message".
+// The principle and location are optional ("src/db.js: message", "message").
+function parseFinding(text) {
+  let rest = String(text).trim();
+  const finding = { principle: '', file: '', line: null, message: '' };
+
+  const principle = rest.match(/^\[([^\]]+)\]\s*/);
+  if (principle) {
+    finding.principle = principle[1].trim();
+    rest = rest.slice(principle[0].length);
+  }
+  const location = rest.match(/^([^\s:]+):(?:(\d+):)?\s+/);
+  if (location) {
+    finding.file = location[1];
+    finding.line = location[2] ? parseInt(location[2], 10) : null;
+    rest = rest.slice(location[0].length);
+  }
+  finding.message = rest.trim();
+  return finding;
+}
+
+// One finding as a single line, in the form parseFinding reads
+function formatFinding(f) {
+  const location = f.file ? f.file + (f.line ? ':' + f.line : '') + ': ' : '';
+  return (f.principle ? '[' + f.principle + '] ' : '') + location + f.message;
+}
+
+// Helpers
+
+function validate(feature, verdict, results, findings) {
+  const known = feature.architecture_compliance;
+  const unknown = (id) => known.length > 0 && !known.includes(id);
+
+  for (const [id, result] of Object.entries(results)) {
+    if (!RESULTS.includes(result)) return 'Result for ' + id + ' must be pass or fail, got "' + result + '".';
+    if (unknown(id)) return id + ' is not in ' + feature.id + "'s architecture_compliance (" + known.join(', ') + ').';
+  }
+  for (const f of findings) {
+    if (!f || typeof f.message !== 'string' || !f.message.trim()) return 'Every finding needs a message.';
+    if (f.principle && unknown(f.principle)) {
+      return 'Finding principle ' + f.principle + ' is not in ' + feature.id + "'s architecture_compliance (" + known.join(', ') + ').';
+    }
+    if (f.line !== undefined && f.line !== null && !(Number.isInteger(f.line) && f.line > 0)) {
+      return 'Finding line must be a positive integer, got ' + JSON.stringify(f.line) + '.';
+    }
+  }
+
+  const failing = Object.keys(results).filter(id => results[id] === 'fail');
+  if (verdict === 'approved' && failing.length > 0) {
+    return 'Cannot approve with failing principles: ' + failing.join(', ') + '.';
+  }
+  if (verdict === 'rejected' && failing.length === 0 && findings.length === 0) {
+    return 'A rejection needs at least one finding or failing principle.';
+  }
+  return null;
+}
+
+function deserialize(d, row) {
+  const findings = d.prepare('SELECT * FROM review_findings WHERE review_id = ? ORDER BY id').all(row.id);
+  return {
+    id: row.id,
+    feature_id: row.feature_id,
+    reviewer: row.reviewer,
+    verdict: row.verdict,
+    principles: JSON.parse(row.principles),
+    summary: row.summary,
+    session_id: row.session_id,
+    created_at: row.created_at,
+    findings: findings
+  };
+}
+
+module.exports = { REVIEWERS, add, list, get: getReview, openFindings, resolve, parseFinding, formatFinding };
@@ -0,0 +1,174 @@
+/**
+ * Agent Runners
+ *
+ * A runner turns an agent session (action, feature, prompt) into a process to
+ * spawn: { command, args, env, cleanup, reportsUsage }, which autoplay.spawnAgent
+ * runs. With reportsUsage, stdout is Claude's stream-json: formatOutputLine renders
+ * each event as transcript text and reads tokens and cost from the final
+ * {"type":"result"} event. Selected with `framework config set agent_runner <name>`:
+ *
+ *   claude  claude -p <prompt> with the role's model and turn limit (default)
+ *   shell   agent_runner_command, run with sh -c after filling in placeholders:
+ *           {prompt} {prompt_file} {feature_id} {action} {model} {max_turns} {project}
+ *   mock    replays canned status changes from agent_runner_script (JSON), or the
+ *           happy path without one. No network, no tokens: for CI and pipeline tests.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const runners = {
+  claude: {
+    build(ctx) {
+      return {
+        command: 'claude',
+        args: [
+          '-p', ctx.prompt,
+          '--max-turns', String(ctx.settings.maxAgentTurns),
+          '--model', ctx.settings.model,
+          '--output-format', 'stream-json',
+          '--verbose'
+        ],
+        reportsUsage: true
+      };
+    }
+  },
+
+  shell: {
+    check(config) {
+      if (!config.agentRunnerCommand) {
+        return 'agent_runner is "shell" but agent_runner_command is not set.';
+      }
+      return null;
+    },
+    build(ctx) {
+      const promptFile = path.join(os.tmpdir(), 'framework-prompt-' + ctx.feature.id + '-' + process.pid + '-' + Date.now() + '.md');
+      fs.writeFileSync(promptFile, ctx.prompt, 'utf8');
+      const values = {
+        prompt: ctx.prompt,
+        prompt_file: promptFile,
+        feature_id: ctx.feature.id,
+        action: ctx.action,
+        model: ctx.settings.model,
+        max_turns: String(ctx.settings.maxAgentTurns),
+        project: ctx.config.projectRoot
+      };
+      const command = ctx.config.agentRunnerCommand.replace(/\{(\w+)\}/g, (match, key) => {
+        return Object.prototype.hasOwnProperty.call(values, key) ? shellQuote(values[key]) : match;
+      });
+      return {
+        command: 'sh',
+        args: ['-c', command],
+        env: {
+          FRAMEWORK_PROMPT_FILE: promptFile,
+          FRAMEWORK_FEATURE_ID: ctx.feature.id,
+          FRAMEWORK_ACTION: ctx.action
+        },
+        cleanup() {
+          fs.rmSync(promptFile, { force: true });
+        }
+      };
+    }
+  },
+
+  mock: {
+    check(config) {
+      if (config.agentRunnerScript && !fs.existsSync(path.resolve(config.projectRoot, config.agentRunnerScript))) {
+        return 'agent_runner_script not found: ' + config.agentRunnerScript;
+      }
+      return null;
+    },
+    build(ctx) {
+      const args = [path.join(__dirname, 'mock-agent.js'), ctx.config.projectRoot, ctx.feature.id, ctx.action];
+      if (ctx.config.agentRunnerScript) args.push(path.resolve(ctx.config.projectRoot, ctx.config.agentRunnerScript));
+      return { command: process.execPath, args: args, reportsUsage: true };
+    }
+  }
+};
+
+const NAMES = Object.keys(runners);
+
+// Why the configured runner can't be used, or null if it can
+function check(config) {
+  const runner = runners[config.agentRunner];
+  if (!runner) return 'Unknown agent_runner "' + config.agentRunner + '". Valid: ' + NAMES.join(', ');
+  return runner.check ? runner.check(config) : null;
+}
+
+// ctx: { action, feature, prompt, settings (autoplay.roleSettings), config }
+function build(ctx) {
+  const problem = check(ctx.config);
+  if (problem) throw new Error(problem);
+  return runners[ctx.config.agentRunner].build(ctx);
+}
+
+// Render one stdout line of a usage-reporting runner for the terminal and transcript.
+// Returns { text, usage }: text null drops the line; usage is set on the result event
+// ({ inputTokens, outputTokens, turns, costUsd }, input counting cached tokens too).
+// Lines that aren't stream-json events pass through unchanged.
+function formatOutputLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith('{')) return { text: line };
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (e) {
+    return { text: line };
+  }
+  if (!data || typeof data.type !== 'string') return { text: line };
+
+  if (data.type === 'system') {
+    return { text: data.subtype === 'init' ? '[session] model ' + (data.model || '?') + ', cwd ' + (data.cwd || '?') : null };
+  }
+  if (data.type === 'assistant' || data.type === 'user') {
+    return { text: messageText(data.message) };
+  }
+  if (data.type !== 'result') return { text: null };
+
+  const u = data.usage || {};
+  const input = ['input_tokens', 'cache_creation_input_tokens', 'cache_read_input_tokens']
+    .reduce((sum, key) => sum + (Number(u[key]) || 0), 0);
+  const cost = data.total_cost_usd !== undefined ? data.total_cost_usd : data.cost_usd;
+  const usage = {
+    inputTokens: u.input_tokens !== undefined ? input : undefined,
+    outputTokens: u.output_tokens,
+    turns: data.num_turns,
+    costUsd: typeof cost === 'number' ? cost : undefined
+  };
+  const summary = [data.subtype || 'done'];
+  if (usage.turns !== undefined) summary.push(usage.turns + ' turns');
+  if (usage.costUsd !== undefined) summary.push('$' + usage.costUsd.toFixed(4));
+  return { text: '[result] ' + summary.join(', '), usage: usage };
+}
+
+// Text, tool calls (> name input) and tool results (< output) of one message
+function messageText(message) {
+  const content = message && message.content;
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return null;
+  const parts = [];
+  for (const block of content) {
+    if (block.type === 'text' && block.text) parts.push(block.text);
+    if (block.type === 'tool_use') parts.push('> ' + block.name + ' ' + truncate(JSON.stringify(block.input), 400));
+    if (block.type === 'tool_result') {
+      const out = Array.isArray(block.content)
+        ? block.content.map(c => c.text || '').join('\n')
+        : String(block.content || '');
+      parts.push('< ' + (block.is_error ? '[error] ' : '') + truncate(out, 1000));
+    }
+  }
+  return parts.length > 0 ? parts.join('\n') : null;
+}
+
+function truncate(text, max) {
+  return text.length > max ? text.slice(0, max) + '... [' + (text.length - max) + ' more chars]' : text;
+}
+
+// Helpers
+
+function shellQuote(value) {
+  return "'" + String(value).replace(/'/g, "'\\''") + "'";
+}
+
+module.exports = { NAMES, check, build, formatOutputLine };
@@ -0,0 +1,264 @@
+/**
+ * JSON Schema Validation
+ *
+ * Checks the architecture files and feature-requirements.json against the schemas
+ * in schemas/. Files are parsed with a small position-tracking JSON parser, so
+ * every error carries the line and column of the offending value:
+ *
+ *   architecture/architecture-principles.json:14:7 /principles/1: missing required property "verification_steps"
+ *
+ * Supports the JSON Schema (draft-07) keywords the bundled schemas use: type, enum,
+ * required, properties, additionalProperties, items, minItems, uniqueItems,
+ * minLength, pattern, minimum and local $ref (#/definitions/...).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+// File name (as in architecture/) -> schema
+const SCHEMAS = {
+  'architecture-principles.json': 'architecture-principles.schema.json',
+  'architecture-patterns.json': 'architecture-patterns.schema.json',
+  'code-standards.json': 'code-standards.schema.json',
+  'feature-requirements.json': 'feature-requirements.schema.json'
+};
+
+// Parse and validate JSON text against the schema for `name` (a key of SCHEMAS).
+// Returns { ok, value, positions, errors: [{ line, column, pointer, message }] },
+// positions mapping each JSON pointer in the document to its { line, column }.
+function check(name, text) {
+  let parsed;
+  try {
+    parsed = parse(text);
+  } catch (err) {
+    if (!err.line) throw err;
+    return { ok: false, value: null, positions: new Map(), errors: [{ line: err.line, column: err.column, pointer: '', message: err.message }] };
+  }
+
+  const schema = loadSchema(name);
+  const errors = [];
+  validate(parsed.value, schema, schema, '', errors);
+  for (const e of errors) Object.assign(e, parsed.positions.get(e.pointer) || { line: 1, column: 1 });
+  errors.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { ok: errors.length === 0, value: parsed.value, positions: parsed.positions, errors: errors };
+}
+
+// check() for a file on disk; the schema is picked by the file's base name
+// unless `name` is given
+function checkFile(filePath, name) {
+  return check(name || path.basename(filePath), fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+}
+
+// "file:line:column /pointer: message" lines, for the CLI
+function formatErrors(label, errors) {
+  return errors.map(e => label + ':' + e.line + ':' + e.column + ' ' + (e.pointer ? e.pointer + ': ' : '') + e.message);
+}
+
+// Helpers
+
+function loadSchema(name) {
+  if (!SCHEMAS[name]) throw new Error('No schema for ' + name + '. Known: ' + Object.keys(SCHEMAS).join(', '));
+  return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, SCHEMAS[name]), 'utf8'));
+}
+
+function validate(value, schema, root, pointer, errors) {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], root);
+    if (!target) throw new Error('Unresolved $ref ' + schema.$ref);
+    return validate(value, target, root, pointer, errors);
+  }
+  const error = (message) => errors.push({ pointer: pointer, message: message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => isType(value, t))) {
+      return error('expected ' + types.join(' or ') + ', got ' + typeName(value));
+    }
+  }
+  if (schema.enum && !schema.enum.some(v => v === value)) {
+    return error('must be one of ' + schema.enum.map(v => JSON.stringify(v)).join(', ') + ', got ' + JSON.stringify(value));
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      error(schema.minLength === 1 ? 'must not be empty' : 'must be at least ' + schema.minLength + ' characters');
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      error(JSON.stringify(value) + ' does not match ' + schema.pattern + (schema.description ? ' (' + schema.description + ')' : ''));
+    }
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    error('must be at least ' + schema.minimum + ', got ' + value);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      error('needs at least ' + schema.minItems + ' item(s)');
+    }
+    if (schema.uniqueItems) {
+      value.forEach((item, i) => {
+        if (value.findIndex(other => JSON.stringify(other) === JSON.stringify(item)) < i) {
+          errors.push({ pointer: pointer + '/' + i, message: 'duplicate item ' + JSON.stringify(item) });
+        }
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validate(item, schema.items, root, pointer + '/' + i, errors));
+    }
+  }
+
+  if (isType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) error('missing required property "' + key + '"');
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPointer = pointer + '/' + escapePointer(key);
+      if (properties[key]) {
+        validate(child, properties[key], root, childPointer, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ pointer: childPointer, message: 'unknown property "' + key + '"' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validate(child, schema.additionalProperties, root, childPointer, errors);
+      }
+    }
+  }
+}
+
+function isType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function typeName(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function escapePointer(key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+const LITERAL = /true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const STRING = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+
+// JSON.parse that also records where each value starts: Map of JSON pointer -> { line, column }.
+// Syntax errors are thrown with line and column set.
+function parse(text) {
+  const positions = new Map();
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  function fail(message) {
+    const err = new SyntaxError(message);
+    err.line = line;
+    err.column = i - lineStart + 1;
+    throw err;
+  }
+
+  function skipWhitespace() {
+    while (i < text.length) {
+      const c = text[i];
+      if (c === '\n') {
+        line++;
+        lineStart = i + 1;
+      } else if (c !== ' ' && c !== '\t' && c !== '\r') {
+        break;
+      }
+      i++;
+    }
+  }
+
+  function describe(c) {
+    return c === undefined ? 'end of file' : 'token ' + JSON.stringify(c);
+  }
+
+  function value(pointer) {
+    skipWhitespace();
+    positions.set(pointer, { line: line, column: i - lineStart + 1 });
+    const c = text[i];
+    if (c === '{') return object(pointer);
+    if (c === '[') return array(pointer);
+    if (c === '"') return string();
+    LITERAL.lastIndex = i;
+    const literal = LITERAL.exec(text);
+    if (!literal) fail('Unexpected ' + describe(c));
+    i += literal[0].length;
+    return JSON.parse(literal[0]);
+  }
+
+  function object(pointer) {
+    const result = {};
+    i++;
+    skipWhitespace();
+    if (text[i] === '}') {
+      i++;
+      return result;
+    }
+    for (;;) {
+      skipWhitespace();
+      if (text[i] !== '"') fail('Expected a property name, got ' + describe(text[i]));
+      const key = string();
+      skipWhitespace();
+      if (text[i] !== ':') fail('Expected ":" after property name, got ' + describe(text[i]));
+      i++;
+      result[key] = value(pointer + '/' + escapePointer(key));
+      skipWhitespace();
+      if (text[i] === ',') {
+        i++;
+        continue;
+      }
+      if (text[i] === '}') {
+        i++;
+        return result;
+      }
+      fail('Expected "," or "}" in object, got ' + describe(text[i]));
+    }
+  }
+
+  function array(pointer) {
+    const result = [];
+    i++;
+    skipWhitespace();
+    if (text[i] === ']') {
+      i++;
+      return result;
+    }
+    for (;;) {
+      result.push(value(pointer + '/' + result.length));
+      skipWhitespace();
+      if (text[i] === ',') {
+        i++;
+        continue;
+      }
+      if (text[i] === ']') {
+        i++;
+        return result;
+      }
+      fail('Expected "," or "]" in array, got ' + describe(text[i]));
+    }
+  }
+
+  function string() {
+    STRING.lastIndex = i;
+    const match = STRING.exec(text);
+    if (!match) fail('Unterminated string or invalid escape');
+    i += match[0].length;
+    return JSON.parse(match[0]);
+  }
+
+  const result = value('');
+  skipWhitespace();
+  if (i < text.length) fail('Unexpected ' + describe(text[i]) + ' after the end of the document');
+  return { value: result, positions: positions };
+}
+
+module.exports = { SCHEMAS, check, checkFile, formatErrors, parse };
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+const LOG_DIR = path.join('.framework', 'logs');
+
+// Record the start of an agent (or orchestrator) session. Returns the new row.
+// With log, the session gets a transcript path: .framework/logs/<feature>/<number>.log
+function start(projectRoot, { role, featureId, statusBefore, model, notes, log } = {}) {
+  const d = db.get(projectRoot);
+  const row = d.prepare('SELECT MAX(session_number) AS n FROM sessions').get();
+  const sessionNumber = (row && row.n ? row.n : 0) + 1;
+
+  const info = d.prepare(`
+    INSERT INTO sessions (session_number, agent_role, feature_id, status_before, model, log_path, notes, started_at)
+    VALUES (@session_number, @agent_role, @feature_id, @status_before, @model, @log_path, @notes, datetime('now'))
+  `).run({
+    session_number: sessionNumber,
+    agent_role: role,
+    feature_id: featureId || null,
+    status_before: statusBefore || '',
+    model: model || '',
+    log_path: log ? path.join(LOG_DIR, featureId || '_', sessionNumber + '.log') : '',
+    notes: notes || ''
+  });
+  return getSession(projectRoot, info.lastInsertRowid);
+}
+
+// Record the end of a session: exit code, resulting feature status and outcome.
+// usage ({ inputTokens, outputTokens, turns, costUsd }) is whatever the runner reported.
+function finish(projectRoot, sessionId, { exitCode, statusAfter, outcome, notes, usage } = {}) {
+  const d = db.get(projectRoot);
+  const sets = ["ended_at = datetime('now')"];
+  const params = { id: sessionId };
+
+  if (exitCode !== undefined) {
+    sets.push('exit_code = @exit_code');
+    params.exit_code = exitCode === null ? null : exitCode;
+  }
+  if (statusAfter !== undefined) {
+    sets.push('status_after = @status_after');
+    params.status_after = statusAfter || '';
+  }
+  if (outcome !== undefined) {
+    sets.push('outcome = @outcome');
+    params.outcome = outcome || '';
+  }
+  if (notes !== undefined) {
+    sets.push('notes = @notes');
+    params.notes = notes || '';
+  }
+
+  if (usage) {
+    sets.push('input_tokens = @input_tokens', 'output_tokens = @output_tokens', 'num_turns = @num_turns', 'cost_usd = @cost_usd');
+    params.input_tokens = usage.inputTokens !== undefined ? usage.inputTokens : null;
+    params.output_tokens = usage.outputTokens !== undefined ? usage.outputTokens : null;
+    params.num_turns = usage.turns !== undefined ? usage.turns : null;
+    params.cost_usd = usage.costUsd !== undefined ? usage.costUsd : null;
+  }
+
+  d.prepare(`UPDATE sessions SET ${sets.join(', ')} WHERE id = @id`).run(params);
+  return getSession(projectRoot, sessionId);
+}
+
+function list(projectRoot, { featureId, role, limit } = {}) {
+  const d = db.get(projectRoot);
+  let sql = 'SELECT * FROM sessions';
+  const conditions = [];
+  const params = {};
+
+  if (featureId) {
+    conditions.push('feature_id = @featureId');
+    params.featureId = featureId;
+  }
+  if (role) {
+    conditions.push('agent_role = @role');
+    params.role = role;
+  }
+
+  if (conditions.length > 0) sql += ' WHERE ' + conditions.join(' AND ');
+  sql += ' ORDER BY id';
+  if (limit) {
+    // Most recent N, still returned oldest-first
+    sql = 'SELECT * FROM (' + sql + ' DESC LIMIT @limit) ORDER BY id';
+    params.limit = parseInt(limit, 10);
+  }
+
+  return d.prepare(sql).all(params).map(deserialize);
+}
+
+// Total reported cost, optionally for one feature and/or sessions after sinceId
+function totalCost(projectRoot, { featureId, sinceId } = {}) {
+  const d = db.get(projectRoot);
+  const row = d.prepare(`
+    SELECT COALESCE(SUM(cost_usd), 0) AS cost FROM sessions
+    WHERE (@featureId IS NULL OR feature_id = @featureId) AND id > @sinceId
+  `).get({ featureId: featureId || null, sinceId: sinceId || 0 });
+  return row.cost;
+}
+
+function lastId(projectRoot) {
+  const d = db.get(projectRoot);
+  return d.prepare('SELECT COALESCE(MAX(id), 0) AS id FROM sessions').get().id;
+}
+
+// Usage and cost totals grouped by feature, role or OpenSpec change
+function costReport(projectRoot, { by } = {}) {
+  const d = db.get(projectRoot);
+  const group = {
+    feature: "COALESCE(s.feature_id, '')",
+    role: 's.agent_role',
+    change: "COALESCE(NULLIF(f.openspec_change_id, ''), '(none)')"
+  }[by || 'feature'];
+  if (!group) return null;
+
+  return d.prepare(`
+    SELECT ${group} AS key,
+      COUNT(*) AS sessions,
+      COALESCE(SUM(s.input_tokens), 0) AS input_tokens,
+      COALESCE(SUM(s.output_tokens), 0) AS output_tokens,
+      COALESCE(SUM(s.num_turns), 0) AS turns,
+      COALESCE(SUM(CASE WHEN s.ended_at IS NOT NULL
+        THEN strftime('%s', s.ended_at) - strftime('%s', s.started_at) END), 0) AS duration_seconds,
+      COALESCE(SUM(s.cost_usd), 0) AS cost_usd,
+      ${by === 'feature' || !by ? 'MAX(f.budget_usd)' : 'NULL'} AS budget_usd
+    FROM sessions s LEFT JOIN features f ON f.id = s.feature_id
+    GROUP BY key
+    ORDER BY cost_usd DESC, key
+  `).all();
+}
+
+function getByNumber(projectRoot, sessionNumber) {
+  const d = db.get(projectRoot);
+  const row = d.prepare('SELECT * FROM sessions WHERE session_number = ?').get(sessionNumber);
+  return row ? deserialize(row) : null;
+}
+
+// Transcript text of a session, or null if it has none (or it was deleted)
+function readLog(projectRoot, session) {
+  if (!session || !session.log_path) return null;
+  const file = path.join(projectRoot, session.log_path);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+function getSession(projectRoot, sessionId) {
+  const d = db.get(projectRoot);
+  const row = d.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
+  return row ? deserialize(row) : null;
+}
+
+// Helpers
+
+// SQLite datetime('now') is UTC without a zone marker
+function parseTimestamp(value) {
+  if (!value) return null;
+  const t = Date.parse(value.replace(' ', 'T') + 'Z');
+  return isNaN(t) ? null : t;
+}
+
+function deserialize(row) {
+  const started = parseTimestamp(row.started_at);
+  const ended = parseTimestamp(row.ended_at);
+  return {
+    id: row.id,
+    session_number: row.session_number,
+    agent_role: row.agent_role,
+    feature_id: row.feature_id,
+    outcome: row.outcome,
+    status_before: row.status_before,
+    status_after: row.status_after,
+    exit_code: row.exit_code,
+    started_at: row.started_at,
+    ended_at: row.ended_at,
+    duration_seconds: started !== null && ended !== null ? Math.round((ended - started) / 1000) : null,
+    model: row.model,
+    input_tokens: row.input_tokens,
+    output_tokens: row.output_tokens,
+    num_turns: row.num_turns,
+    cost_usd: row.cost_usd,
+    log_path: row.log_path || '',
+    notes: row.notes,
+    created_at: row.created_at
+  };
+}
+
+module.exports = { LOG_DIR, start, finish, list, get: getSession, getByNumber, readLog, totalCost, lastId, costReport };
@@ -0,0 +1,301 @@
+/**
+ * Feature Sync
+ *
+ * Three-way merge between the features table and architecture/feature-requirements.json.
+ * The merge base is the record of each feature as of the last sync (feature_sync
+ * table). Per field:
+ *
+ *   DB and file agree            -> nothing to do
+ *   only the file changed        -> the DB takes the file's value
+ *   only the DB changed          -> the file takes the DB's value
+ *   both changed, differently    -> conflict, left as is until resolved with prefer
+ *
+ * Features added on one side are added to the other. A feature deleted on one side
+ * is deleted on the other if the other side hasn't changed it since the last sync;
+ * otherwise that is a conflict too. Without a base (first sync), any difference is
+ * a conflict, so a stale file can never silently revert the DB.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const features = require('./features');
+const schemas = require('./schemas');
+
+// Fields written to feature-requirements.json, in file order
+const FIELDS = ['id', 'category', 'description', 'status', 'depends_on', 'openspec_reference',
+  'requirements', 'architecture_compliance', 'verification_steps', 'scenarios', 'assigned_to', 'reviewed_by',
+  'tested_by', 'passes', 'openspec_change_id', 'openspec_task_group', 'agent_overrides', 'budget_usd', 'notes'];
+
+// Fields merged as one value: a status and its passes flag only make sense together
+const STATUS = ['status', 'passes'];
+const UNITS = FIELDS.filter(field => !STATUS.includes(field)).map(field => [field]).concat([STATUS]);
+
+const SIDES = ['db', 'file'];
+
+function filePath(projectRoot) {
+  return path.join(projectRoot, 'architecture', 'feature-requirements.json');
+}
+
+// Merge the DB and the file. prefer ('db' | 'file') resolves conflicts; dryRun
+// reports without writing either side. Returns { ok, error, errors (schema errors
+// in the file), toDb, toFile: [{ id, change }], conflicts: [{ id, field, base, db, file,
+// fields, dbUpdatedAt, fileModifiedAt, resolved }], failed: [{ id, message }], written }.
+// toDb lists only the changes the DB accepted.
+function sync(projectRoot, { prefer, dryRun } = {}) {
+  if (prefer && !SIDES.includes(prefer)) return { ok: false, error: 'prefer must be db or file, got "' + prefer + '".' };
+  const file = filePath(projectRoot);
+  const result = { ok: true, toDb: [], toFile: [], conflicts: [], failed: [], written: false };
+
+  // No file yet: nothing to merge, write it from the DB
+  if (!fs.existsSync(file)) {
+    const records = features.list(projectRoot).map(toRecord);
+    result.toFile = records.map(r => ({ id: r.id, change: 'added' }));
+    if (!dryRun) {
+      writeFile(file, {}, records);
+      snapshot(projectRoot, records);
+      result.written = true;
+    }
+    return result;
+  }
+
+  const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+  const checked = schemas.check('feature-requirements.json', text);
+  if (!checked.ok) {
+    return { ok: false, error: path.relative(projectRoot, file) + ' does not match its schema.', errors: checked.errors };
+  }
+  const fileMtime = fs.statSync(file).mtime.toISOString();
+  const fileRecords = checked.value.features.map(normalize);
+  const fileById = new Map(fileRecords.map(r => [r.id, r]));
+  const dbFeatures = new Map(features.list(projectRoot).map(f => [f.id, f]));
+  const bases = loadBases(projectRoot);
+
+  const ids = [...new Set([...fileById.keys(), ...dbFeatures.keys(), ...bases.keys()])];
+  const plans = ids.map(id => plan(id, bases.get(id), dbFeatures.get(id), fileById.get(id), prefer));
+  for (const p of plans) {
+    const dbFeature = dbFeatures.get(p.id);
+    for (const c of p.conflicts) {
+      result.conflicts.push(Object.assign({ id: p.id, dbUpdatedAt: dbFeature ? dbFeature.updated_at : null, fileModifiedAt: fileMtime }, c));
+    }
+    if (p.db) result.toDb.push({ id: p.id, change: p.db.change });
+    if (p.file) result.toFile.push({ id: p.id, change: p.file.change });
+  }
+  if (dryRun) return result;
+
+  applyToDb(projectRoot, plans, result);
+  const failed = new Set(result.failed.map(f => f.id));
+  result.toDb = result.toDb.filter(c => !failed.has(c.id));
+
+  // File: keep its order, add new features at the end
+  const finalById = new Map(features.list(projectRoot).map(f => [f.id, toRecord(f)]));
+  const output = [];
+  const seen = new Set();
+  for (const r of fileRecords.concat([...finalById.values()])) {
+    if (seen.has(r.id)) continue;
+    seen.add(r.id);
+    const p = plans.find(x => x.id === r.id);
+    const record = recordForFile(p, finalById.get(r.id), fileById.get(r.id), failed);
+    if (record) output.push(record);
+  }
+  result.written = writeFile(file, checked.value, output);
+
+  // The new base: what both sides now agree on. Unresolved fields keep their old base.
+  const agreed = [];
+  const forgotten = [];
+  for (const p of plans) {
+    const current = finalById.get(p.id);
+    const inFile = output.find(r => r.id === p.id);
+    if (!current && !inFile) {
+      forgotten.push(p.id);
+      continue;
+    }
+    if (!current || !inFile) continue;
+    const base = {};
+    for (const field of FIELDS) {
+      if (same(current[field], inFile[field])) base[field] = current[field];
+      else if (p.base && field in p.base) base[field] = p.base[field];
+    }
+    agreed.push(base);
+  }
+  snapshot(projectRoot, agreed, forgotten);
+  return result;
+}
+
+// Record the current DB state of `records` (or all features) as the merge base.
+// Used after a plain export/import, which leave both sides equal.
+function snapshot(projectRoot, records, forgotten) {
+  const d = db.get(projectRoot);
+  const rows = records || features.list(projectRoot).map(toRecord);
+  const upsert = d.prepare(`
+    INSERT INTO feature_sync (feature_id, data, synced_at) VALUES (?, ?, datetime('now'))
+    ON CONFLICT(feature_id) DO UPDATE SET data = excluded.data, synced_at = excluded.synced_at
+  `);
+  const drop = d.prepare('DELETE FROM feature_sync WHERE feature_id = ?');
+  d.transaction(() => {
+    for (const r of rows) upsert.run(r.id, JSON.stringify(r));
+    for (const id of forgotten || []) drop.run(id);
+  })();
+}
+
+// Signature of both sides, for watch mode: changes when either one might need a sync
+function fingerprint(projectRoot) {
+  const d = db.get(projectRoot);
+  const row = d.prepare('SELECT count(*) AS n, max(updated_at) AS latest, group_concat(id || status || passes) AS state FROM features').get();
+  const file = filePath(projectRoot);
+  const stat = fs.existsSync(file) ? fs.statSync(file) : null;
+  return [row.n, row.latest, row.state, stat ? stat.mtimeMs + ':' + stat.size : '-'].join('|');
+}
+
+// The feature as it appears in feature-requirements.json
+function toRecord(feature) {
+  const record = {};
+  for (const field of FIELDS) record[field] = feature[field];
+  return record;
+}
+
+// Helpers
+
+// A file entry with the defaults `feature import` applies
+function normalize(f) {
+  return {
+    id: f.id,
+    category: f.category || '',
+    description: f.description || '',
+    status: f.status || 'pending',
+    depends_on: f.depends_on || [],
+    openspec_reference: f.openspec_reference || '',
+    requirements: f.requirements || [],
+    architecture_compliance: f.architecture_compliance || [],
+    verification_steps: f.verification_steps || [],
+    scenarios: f.scenarios || [],
+    assigned_to: f.assigned_to || 'dev-agent',
+    reviewed_by: f.reviewed_by || 'code-reviewer',
+    tested_by: f.tested_by || 'qa-agent',
+    passes: Boolean(f.passes),
+    openspec_change_id: f.openspec_change_id || '',
+    openspec_task_group: f.openspec_task_group || 0,
+    agent_overrides: f.agent_overrides || {},
+    budget_usd: typeof f.budget_usd === 'number' ? f.budget_usd : null,
+    notes: f.notes || ''
+  };
+}
+
+function loadBases(projectRoot) {
+  const d = db.get(projectRoot);
+  const rows = d.prepare('SELECT feature_id, data FROM feature_sync').all();
+  return new Map(rows.map(r => [r.feature_id, JSON.parse(r.data)]));
+}
+
+// One field's value, or an object of several
+function pick(record, unit) {
+  if (unit.length === 1) return record[unit[0]];
+  return unit.reduce((acc, field) => Object.assign(acc, { [field]: record[field] }), {});
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Decide what happens to one feature. Returns { id, base, conflicts, db, file, keep },
+// db / file being the change to make on that side (null = none):
+// { change: 'added' | 'deleted' | 'updated', fields }
+function plan(id, base, dbFeature, fileRecord, prefer) {
+  const current = dbFeature ? toRecord(dbFeature) : null;
+  const p = { id: id, base: base || null, conflicts: [], db: null, file: null };
+
+  if (current && fileRecord) {
+    const toDb = {};
+    const toFile = {};
+    for (const unit of UNITS) {
+      const d = pick(current, unit);
+      const f = pick(fileRecord, unit);
+      if (same(d, f)) continue;
+      const b = base && unit.every(field => field in base) ? pick(base, unit) : undefined;
+      if (base && same(d, b)) {
+        unit.forEach(field => { toDb[field] = fileRecord[field]; });
+      } else if (base && same(f, b)) {
+        unit.forEach(field => { toFile[field] = current[field]; });
+      } else {
+        p.conflicts.push({ field: unit.join('/'), fields: unit, base: b, db: d, file: f, resolved: prefer || null });
+        if (prefer === 'file') unit.forEach(field => { toDb[field] = fileRecord[field]; });
+        if (prefer === 'db') unit.forEach(field => { toFile[field] = current[field]; });
+      }
+    }
+    if (Object.keys(toDb).length > 0) p.db = { change: 'updated', fields: toDb };
+    if (Object.keys(toFile).length > 0) p.file = { change: 'updated', fields: toFile };
+    return p;
+  }
+
+  if (!current && !fileRecord) return p;
+  const present = current ? 'db' : 'file';
+  const missing = current ? 'file' : 'db';
+  const record = current || fileRecord;
+
+  // New on one side
+  if (!base) {
+    p[missing] = { change: 'added', fields: record };
+    return p;
+  }
+  // Deleted on the other: follow unless it was edited since the last sync
+  if (same(record, Object.assign({}, record, base))) {
+    p[present] = { change: 'deleted' };
+    return p;
+  }
+  p.conflicts.push({ field: '(deleted in ' + missing + ')', fields: [], base: null, db: current, file: fileRecord, resolved: prefer || null });
+  if (prefer === missing) p[present] = { change: 'deleted' };
+  if (prefer === present) p[missing] = { change: 'added', fields: record };
+  return p;
+}
+
+// Creates first (without dependencies, which may point at other new features),
+// then updates and dependencies, then deletions. Failures are collected per feature.
+function applyToDb(projectRoot, plans, result) {
+  const attempt = (id, fn) => {
+    try {
+      fn();
+    } catch (err) {
+      if (!err.code) throw err;
+      result.failed.push({ id: id, message: err.message });
+    }
+  };
+  const changes = plans.filter(p => p.db);
+  for (const p of changes.filter(x => x.db.change === 'added')) {
+    attempt(p.id, () => features.create(projectRoot, Object.assign({}, p.db.fields, { depends_on: [] })));
+  }
+  for (const p of changes) {
+    if (p.db.change === 'added' && p.db.fields.depends_on.length > 0) {
+      attempt(p.id, () => features.update(projectRoot, p.id, { depends_on: p.db.fields.depends_on }, { force: true }));
+    }
+    if (p.db.change === 'updated') {
+      attempt(p.id, () => features.update(projectRoot, p.id, p.db.fields, { force: true }));
+    }
+  }
+  for (const p of changes.filter(x => x.db.change === 'deleted')) {
+    attempt(p.id, () => features.remove(projectRoot, p.id));
+  }
+}
+
+// What the file should hold for a feature after the DB was updated: the DB record,
+// except for unresolved conflicts, where the file keeps its own value. A feature the
+// DB couldn't take is left as it is in the file.
+function recordForFile(p, current, fileRecord, failed) {
+  if (p.file && p.file.change === 'deleted') return null;
+  if (!current || (fileRecord && failed.has(p.id))) return fileRecord || null;
+  if (!fileRecord) return p.file ? current : null;
+  const record = Object.assign({}, current);
+  for (const c of p.conflicts) {
+    if (!c.resolved) c.fields.forEach(field => { record[field] = fileRecord[field]; });
+  }
+  return record;
+}
+
+// Write only when the content changes, so watchers and git see no churn
+function writeFile(file, data, records) {
+  const text = JSON.stringify(Object.assign({}, data, { features: records }), null, 2);
+  if (fs.existsSync(file) && fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '') === text) return false;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text, 'utf8');
+  return true;
+}
+
+module.exports = { FIELDS, filePath, sync, snapshot, fingerprint, toRecord };
@@ -0,0 +1,195 @@
+/**
+ * Outbound Webhooks
+ *
+ * POSTs a JSON payload to every enabled webhook subscribed to a pipeline event:
+ *
+ *   { "id": "<delivery uuid>", "event": "feature.escalated", "timestamp": "...",
+ *     "project": "my-app", "data": { "feature_id": "FEAT-003", ... } }
+ *
+ * With a secret, the body is signed: X-Framework-Signature: sha256=<hex HMAC of body>.
+ * Failed deliveries (network errors, 429 and 5xx) are retried with exponential backoff.
+ *
+ * emit() reads the subscriptions synchronously, delivers in the background and returns
+ * a promise for its deliveries. flush() waits for everything still in flight.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const db = require('./db');
+
+const EVENTS = [
+  'feature.status_changed',
+  'feature.escalated',
+  'pr.opened',
+  'pr.merged',
+  'openspec.archived',
+  'pipeline.finished'
+];
+
+const pending = new Set();
+
+function list(projectRoot) {
+  const d = db.get(projectRoot);
+  return d.prepare('SELECT * FROM webhooks ORDER BY id').all().map(deserialize);
+}
+
+function getWebhook(projectRoot, id) {
+  const d = db.get(projectRoot);
+  const row = d.prepare('SELECT * FROM webhooks WHERE id = ?').get(id);
+  return row ? deserialize(row) : null;
+}
+
+// events: list of names from EVENTS, or ['*'] for all
+function add(projectRoot, { url, events, secret } = {}) {
+  if (!/^https?:\/\//.test(url || '')) {
+    return { ok: false, error: 'Webhook URL must start with http:// or https://' };
+  }
+  const subscribed = events && events.length > 0 ? events : ['*'];
+  const unknown = subscribed.filter(e => e !== '*' && !EVENTS.includes(e));
+  if (unknown.length > 0) {
+    return { ok: false, error: 'Unknown event(s): ' + unknown.join(', ') + '. Valid: ' + EVENTS.join(', ') };
+  }
+
+  const d = db.get(projectRoot);
+  const info = d.prepare('INSERT INTO webhooks (url, events, secret) VALUES (?, ?, ?)')
+    .run(url, JSON.stringify(subscribed), secret || '');
+  return { ok: true, webhook: getWebhook(projectRoot, info.lastInsertRowid) };
+}
+
+function remove(projectRoot, id) {
+  const d = db.get(projectRoot);
+  return d.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+}
+
+function setEnabled(projectRoot, id, enabled) {
+  const d = db.get(projectRoot);
+  return d.prepare('UPDATE webhooks SET enabled = ? WHERE id = ?').run(enabled ? 1 : 0, id).changes > 0;
+}
+
+// Fire an event at every subscribed webhook. Never throws; resolves to one
+// delivery result per webhook ({ webhook, ok, status, attempts, error }).
+function emit(projectRoot, event, data) {
+  let hooks;
+  try {
+    hooks = list(projectRoot).filter(h => h.enabled && (h.events.includes('*') || h.events.includes(event)));
+  } catch (err) {
+    // Webhooks must never break the pipeline (e.g. a DB from before the table existed)
+    return Promise.resolve([]);
+  }
+  if (hooks.length === 0) return Promise.resolve([]);
+  return deliverAll(projectRoot, hooks, event, data).then((results) => {
+    for (const r of results) {
+      if (!r.ok) console.error('Webhook #' + r.webhook + ' (' + r.url + ') failed for ' + event + ' after ' + r.attempts + ' attempt(s): ' + r.error);
+    }
+    return results;
+  });
+}
+
+// Send a test event to one webhook (or all of them), ignoring event filters
+function test(projectRoot, id) {
+  const hooks = id ? [getWebhook(projectRoot, id)].filter(Boolean) : list(projectRoot);
+  return deliverAll(projectRoot, hooks, 'test', { message: 'Test delivery from framework webhook test' });
+}
+
+// Wait for in-flight deliveries, including their retries
+function flush() {
+  return Promise.all(Array.from(pending));
+}
+
+// Helpers
+
+function deliverAll(projectRoot, hooks, event, data) {
+  const options = loadOptions(projectRoot);
+  const payload = {
+    event: event,
+    timestamp: new Date().toISOString(),
+    project: path.basename(path.resolve(projectRoot)),
+    data: data || {}
+  };
+  const all = Promise.all(hooks.map(hook => deliver(hook, payload, options)));
+  pending.add(all);
+  all.then(() => pending.delete(all));
+  return all;
+}
+
+function loadOptions(projectRoot) {
+  const d = db.get(projectRoot);
+  const rows = d.prepare("SELECT key, value FROM config WHERE key LIKE 'webhook_%'").all();
+  const config = {};
+  for (const r of rows) config[r.key] = r.value;
+  return {
+    retries: Math.max(0, parseInt(config.webhook_retries, 10) || 0),
+    backoffMs: parseInt(config.webhook_backoff_ms, 10) || 1000,
+    timeoutMs: parseInt(config.webhook_timeout_ms, 10) || 10000
+  };
+}
+
+async function deliver(hook, payload, options) {
+  const body = JSON.stringify(Object.assign({ id: crypto.randomUUID() }, payload));
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    'User-Agent': 'agentic-framework-webhooks',
+    'X-Framework-Event': payload.event
+  };
+  if (hook.secret) {
+    headers['X-Framework-Signature'] = 'sha256=' + crypto.createHmac('sha256', hook.secret).update(body).digest('hex');
+  }
+
+  let last = null;
+  for (let attempt = 1; attempt <= options.retries + 1; attempt++) {
+    if (attempt > 1) await sleep(options.backoffMs * Math.pow(2, attempt - 2));
+    last = await post(hook.url, headers, body, options.timeoutMs);
+    if (last.status >= 200 && last.status < 300) {
+      return { webhook: hook.id, url: hook.url, ok: true, status: last.status, attempts: attempt };
+    }
+    // Client errors other than rate limiting won't succeed on retry
+    if (last.status && last.status < 500 && last.status !== 429) {
+      return failed(hook, last, attempt);
+    }
+  }
+  return failed(hook, last, options.retries + 1);
+}
+
+function failed(hook, last, attempts) {
+  return { webhook: hook.id, url: hook.url, ok: false, status: last.status, attempts: attempts, error: last.error || 'HTTP ' + last.status };
+}
+
+// Resolves to { status } or { status: null, error }; never rejects
+function post(url, headers, body, timeoutMs) {
+  return new Promise((resolve) => {
+    const client = url.startsWith('https:') ? https : http;
+    let req;
+    try {
+      req = client.request(url, { method: 'POST', headers: headers, timeout: timeoutMs }, (res) => {
+        res.resume();
+        res.on('end', () => resolve({ status: res.statusCode }));
+      });
+    } catch (err) {
+      resolve({ status: null, error: err.message });
+      return;
+    }
+    req.on('timeout', () => req.destroy(new Error('timed out after ' + timeoutMs + 'ms')));
+    req.on('error', (err) => resolve({ status: null, error: err.message }));
+    req.end(body);
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function deserialize(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    secret: row.secret,
+    enabled: row.enabled === 1,
+    created_at: row.created_at
+  };
+}
+
+module.exports = { EVENTS, list, get: getWebhook, add, remove, setEnabled, emit, test, flush };
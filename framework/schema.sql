@@ -12,12 +12,15 @@ CREATE TABLE IF NOT EXISTS features (
   requirements TEXT NOT NULL DEFAULT '[]',         -- JSON array of strings
   architecture_compliance TEXT NOT NULL DEFAULT '[]', -- JSON array of principle IDs
   verification_steps TEXT NOT NULL DEFAULT '[]',   -- JSON array of strings
+  scenarios TEXT NOT NULL DEFAULT '[]',            -- JSON array of { requirement, name, given, when, then } (OpenSpec)
   assigned_to TEXT NOT NULL DEFAULT 'dev-agent',
   reviewed_by TEXT NOT NULL DEFAULT 'code-reviewer',
   tested_by TEXT NOT NULL DEFAULT 'qa-agent',
   passes INTEGER NOT NULL DEFAULT 0,              -- 0 = false, 1 = true
   openspec_change_id TEXT NOT NULL DEFAULT '',    -- OpenSpec change name for upsert
   openspec_task_group INTEGER NOT NULL DEFAULT 0, -- Task group index within change
+  agent_overrides TEXT NOT NULL DEFAULT '{}',     -- JSON object: model / max_agent_turns / prompt[.role]
+  budget_usd REAL,                                -- Agent spend limit for this feature (NULL = none)
   notes TEXT NOT NULL DEFAULT '',
   created_at TEXT NOT NULL DEFAULT (datetime('now')),
   updated_at TEXT NOT NULL DEFAULT (datetime('now'))
@@ -29,17 +32,113 @@ CREATE TABLE IF NOT EXISTS sessions (
   agent_role TEXT NOT NULL,
   feature_id TEXT,
   outcome TEXT NOT NULL DEFAULT '',               -- APPROVED, REJECTED, PASSED, FAILED, IMPLEMENTED, etc.
+  status_before TEXT NOT NULL DEFAULT '',         -- Feature status when the session started
+  status_after TEXT NOT NULL DEFAULT '',          -- Feature status when the session ended
+  exit_code INTEGER,                              -- NULL while running or if killed by a signal
+  started_at TEXT NOT NULL DEFAULT (datetime('now')),
+  ended_at TEXT,                                  -- NULL while running
+  model TEXT NOT NULL DEFAULT '',                 -- Model the agent ran with ('' for pr/merge steps)
+  input_tokens INTEGER,                           -- Usage reported by the runner (NULL = not reported)
+  output_tokens INTEGER,
+  num_turns INTEGER,
+  cost_usd REAL,
+  log_path TEXT NOT NULL DEFAULT '',              -- Transcript, relative to the project root ('' = none)
   notes TEXT NOT NULL DEFAULT '',
   created_at TEXT NOT NULL DEFAULT (datetime('now')),
   FOREIGN KEY (feature_id) REFERENCES features(id)
 );
 
+CREATE INDEX IF NOT EXISTS idx_sessions_feature ON sessions(feature_id);
+
+-- Orchestrator bookkeeping per feature, persisted so restarts keep retry budgets
+CREATE TABLE IF NOT EXISTS pipeline_state (
+  feature_id TEXT PRIMARY KEY,
+  retries INTEGER NOT NULL DEFAULT 0,             -- Dev sessions started after a rejection
+  stalls INTEGER NOT NULL DEFAULT 0,              -- Sessions that left the status unchanged
+  escalated INTEGER NOT NULL DEFAULT 0,           -- 1 = needs human, autoplay skips it
+  escalation_reason TEXT NOT NULL DEFAULT '',
+  escalated_at TEXT,
+  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE
+);
+
+-- Review and QA verdicts recorded by agents (see lib/reviews.js)
+CREATE TABLE IF NOT EXISTS reviews (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  feature_id TEXT NOT NULL,
+  reviewer TEXT NOT NULL,                         -- Role: review or qa
+  verdict TEXT NOT NULL CHECK(verdict IN ('approved', 'rejected')),
+  principles TEXT NOT NULL DEFAULT '{}',          -- JSON object: principle ID -> 'pass' | 'fail'
+  summary TEXT NOT NULL DEFAULT '',
+  session_id INTEGER,                             -- Agent session that recorded it, if any
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_feature ON reviews(feature_id);
+
+CREATE TABLE IF NOT EXISTS review_findings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  review_id INTEGER NOT NULL,
+  principle TEXT NOT NULL DEFAULT '',             -- Principle ID the finding violates, '' = general
+  file TEXT NOT NULL DEFAULT '',
+  line INTEGER,
+  message TEXT NOT NULL,
+  resolved_at TEXT,                               -- NULL = still open
+  FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE
+);
+
+-- Structured progress entries recorded by agents (see lib/progress.js)
+CREATE TABLE IF NOT EXISTS progress_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  feature_id TEXT,                                -- NULL = project-wide
+  role TEXT NOT NULL,                             -- dev, review, qa, lead or human
+  summary TEXT NOT NULL,
+  done TEXT NOT NULL DEFAULT '[]',                -- JSON arrays of strings
+  next TEXT NOT NULL DEFAULT '[]',
+  blockers TEXT NOT NULL DEFAULT '[]',
+  session_id INTEGER,                             -- Agent session that recorded it, if any
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_progress_feature ON progress_entries(feature_id);
+
+-- Outbound webhooks for pipeline events (see lib/webhooks.js)
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL,
+  events TEXT NOT NULL DEFAULT '["*"]',           -- JSON array of event names, "*" = all
+  secret TEXT NOT NULL DEFAULT '',                -- HMAC-SHA256 signing key, '' = unsigned
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
 CREATE TABLE IF NOT EXISTS architecture (
   id TEXT PRIMARY KEY,                            -- 'principles', 'patterns', 'standards'
   data TEXT NOT NULL DEFAULT '{}',                -- JSON blob, full file content
   updated_at TEXT NOT NULL DEFAULT (datetime('now'))
 );
 
+-- Merge base for `feature sync` (see lib/sync.js). No foreign key: a base that
+-- outlives its feature is how sync tells a deletion from a new feature.
+CREATE TABLE IF NOT EXISTS feature_sync (
+  feature_id TEXT PRIMARY KEY,
+  data TEXT NOT NULL,                             -- JSON record as last agreed by DB and file
+  synced_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Task group each OpenSpec feature was last imported from (see lib/openspec.js),
+-- so re-imports match groups by title and tasks rather than position
+CREATE TABLE IF NOT EXISTS openspec_imports (
+  feature_id TEXT PRIMARY KEY,
+  change_id TEXT NOT NULL,
+  title TEXT NOT NULL,                            -- Group title as it was in tasks.md
+  steps TEXT NOT NULL DEFAULT '[]',               -- JSON array of the group's task texts
+  imported_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE
+);
+
 CREATE TABLE IF NOT EXISTS config (
   key TEXT PRIMARY KEY,
   value TEXT NOT NULL
@@ -61,6 +160,15 @@ INSERT OR IGNORE INTO config (key, value) VALUES ('auto_merge', 'false');
 INSERT OR IGNORE INTO config (key, value) VALUES ('safe_mode', 'true');
 INSERT OR IGNORE INTO config (key, value) VALUES ('openspec_auto_archive', 'false');
 INSERT OR IGNORE INTO config (key, value) VALUES ('openspec_auto_import', 'false');
+INSERT OR IGNORE INTO config (key, value) VALUES ('openspec_sync_back', 'false');
+INSERT OR IGNORE INTO config (key, value) VALUES ('openspec_watch', 'false');
+INSERT OR IGNORE INTO config (key, value) VALUES ('agent_runner', 'claude');
+INSERT OR IGNORE INTO config (key, value) VALUES ('budget_usd_per_run', '');
+INSERT OR IGNORE INTO config (key, value) VALUES ('webhook_retries', '3');
+INSERT OR IGNORE INTO config (key, value) VALUES ('webhook_backoff_ms', '1000');
+INSERT OR IGNORE INTO config (key, value) VALUES ('prompt_architecture_max_chars', '12000');
+INSERT OR IGNORE INTO config (key, value) VALUES ('progress_compact_threshold', '100');
+INSERT OR IGNORE INTO config (key, value) VALUES ('progress_keep_recent', '20');
 
 -- Trigger to auto-update updated_at on features
 CREATE TRIGGER IF NOT EXISTS features_updated_at
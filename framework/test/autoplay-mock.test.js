@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'framework.js');
+
+// A git project with the bundled prompts, run through the mock runner. A stub `gh`
+// that fails is first on PATH, so PRs and merges take the local fallback whether
+// or not gh is installed.
+function setUp(t, script) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'framework-autoplay-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const bin = path.join(root, '.stub-bin');
+  fs.mkdirSync(bin);
+  fs.writeFileSync(path.join(bin, 'gh'), '#!/bin/sh\nexit 1\n', { mode: 0o755 });
+  const env = Object.assign({}, process.env, { PATH: bin + path.delimiter + process.env.PATH });
+
+  const prompts = path.join(__dirname, '..', 'templates', 'agent-prompts');
+  fs.mkdirSync(path.join(root, 'agent-prompts'));
+  for (const file of fs.readdirSync(prompts)) fs.copyFileSync(path.join(prompts, file), path.join(root, 'agent-prompts', file));
+  fs.writeFileSync(path.join(root, 'mock.json'), JSON.stringify(script));
+  fs.writeFileSync(path.join(root, '.gitignore'), '.framework/\n.stub-bin/\n');
+
+  const git = (...args) => assert.equal(spawnSync('git', args, { cwd: root, encoding: 'utf8' }).status, 0, 'git ' + args.join(' '));
+  git('init', '-q', '-b', 'main');
+  git('config', 'user.email', 'test@example.com');
+  git('config', 'user.name', 'Test');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'init');
+
+  const cli = (...args) => {
+    const result = spawnSync(process.execPath, [CLI, '-p', root].concat(args), { cwd: root, env: env, encoding: 'utf8', timeout: 60000 });
+    assert.equal(result.status, 0, args.join(' ') + '\n' + result.stdout + result.stderr);
+    return result.stdout;
+  };
+  cli('config', 'set', 'execution_mode', 'orchestrator');
+  cli('config', 'set', 'agent_runner', 'mock');
+  cli('config', 'set', 'agent_runner_script', 'mock.json');
+  return { root, cli };
+}
+
+// Session rows as "feature role: before -> after OUTCOME"
+function sessionRows(root) {
+  const db = require('../lib/db');
+  const sessions = require('../lib/sessions');
+  db.open(root);
+  try {
+    return sessions.list(root).map(s => s.feature_id + ' ' + s.agent_role + ': ' + s.status_before + ' -> ' + s.status_after + ' ' + s.outcome);
+  } finally {
+    db.close();
+  }
+}
+
+test('autoplay with the mock runner takes features through rejection, QA, PR and merge', (t) => {
+  const { root, cli } = setUp(t, {
+    dev: [{ status: 'ready-for-review', usage: { input_tokens: 1000, output_tokens: 200, num_turns: 5, cost_usd: 0.5 } }],
+    review: [{ status: 'approved' }],
+    qa: [{ passes: true }],
+    'FEAT-001': { review: [{ status: 'needs-revision', notes: 'Missing tests' }, { status: 'approved' }] }
+  });
+  cli('config', 'set', 'auto_merge', 'true');
+  cli('config', 'set', 'safe_mode', 'false');
+  cli('feature', 'create', '-d', 'Login');
+  cli('feature', 'create', '-d', 'Logout', '--depends', 'FEAT-001');
+
+  const output = cli('autoplay');
+  assert.match(output, /No actionable features\. 2\/2 complete\./);
+  assert.match(output, /Run cost: \$1\.5000/);
+
+  assert.deepEqual(sessionRows(root), [
+    'FEAT-001 dev: pending -> ready-for-review IMPLEMENTED',
+    'FEAT-001 review: ready-for-review -> needs-revision REJECTED',
+    'FEAT-001 dev: needs-revision -> ready-for-review IMPLEMENTED',
+    'FEAT-001 review: ready-for-review -> approved APPROVED',
+    'FEAT-001 qa: approved -> qa-testing PASSED',
+    'FEAT-001 pr: qa-testing -> pr-open PR_OPENED',
+    'FEAT-001 merge: pr-open -> complete MERGED',
+    'FEAT-002 dev: pending -> ready-for-review IMPLEMENTED',
+    'FEAT-002 review: ready-for-review -> approved APPROVED',
+    'FEAT-002 qa: approved -> qa-testing PASSED',
+    'FEAT-002 pr: qa-testing -> pr-open PR_OPENED',
+    'FEAT-002 merge: pr-open -> complete MERGED'
+  ]);
+});
+
+test('autoplay escalates a feature whose agent keeps stalling and stops at PRs in safe mode', (t) => {
+  const { root, cli } = setUp(t, {
+    dev: [{ status: 'ready-for-review' }],
+    review: [{ status: 'approved' }],
+    qa: [{ passes: true }],
+    'FEAT-002': { dev: [{}] }
+  });
+  cli('config', 'set', 'max_retries', '1');
+  cli('feature', 'create', '-d', 'Works');
+  cli('feature', 'create', '-d', 'Stalls');
+
+  const output = cli('autoplay');
+  assert.match(output, /Waiting for human merge: FEAT-001/);
+  assert.match(output, /Escalated \(need human\): FEAT-002/);
+
+  const rows = sessionRows(root);
+  assert.deepEqual(rows.filter(r => r.startsWith('FEAT-002')), [
+    'FEAT-002 dev: pending -> in-dev STALLED',
+    'FEAT-002 dev: in-dev -> in-dev STALLED'
+  ]);
+  assert.ok(rows.includes('FEAT-001 pr: qa-testing -> pr-open PR_OPENED'));
+  assert.ok(!rows.some(r => r.startsWith('FEAT-001 merge')));
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const openspec = require('../lib/openspec');
+
+function parseFixture(name) {
+  return openspec.parseTaskGroups(fs.readFileSync(path.join(__dirname, 'fixtures', 'tasks', name), 'utf8'));
+}
+
+// Task trees without line numbers: [text, number, checked, done, children]
+function shape(tasks) {
+  return tasks.map(t => [t.text, t.number, t.checked, t.done, shape(t.children)]);
+}
+
+test('"## 1." headings start groups and skip the document title', () => {
+  const groups = parseFixture('heading-groups.md');
+  assert.deepEqual(groups.map(g => [g.number, g.title]), [['1', 'Set up auth provider'], ['2', 'Login UI']]);
+  assert.deepEqual(groups[0].steps, ['Configure OAuth endpoints', 'Add token refresh logic']);
+  assert.equal(groups[0].line, 2);
+});
+
+test('"1.1" numbers and checkboxes are taken off task texts', () => {
+  const groups = parseFixture('heading-groups.md');
+  assert.deepEqual(shape(groups[0].tasks), [
+    ['Configure OAuth endpoints', '1.1', true, true, []],
+    ['Add token refresh logic', '1.2', false, false, []]
+  ]);
+  assert.deepEqual(groups[0].tasks.map(t => t.line), [3, 4]);
+});
+
+test('nested items and "### 1.1" headings form a task tree', () => {
+  const [group] = parseFixture('nested.md');
+  assert.deepEqual(shape(group.tasks), [
+    ['Models', '1.1', null, false, [
+      ['User model', null, true, true, [
+        ['Email index', null, true, true, []],
+        ['Soft delete', null, false, true, [
+          ['Restore endpoint', null, false, true, []]
+        ]]
+      ]],
+      ['Session model', null, false, false, []]
+    ]],
+    ['Cleanup', '1.2', null, true, [
+      ['Expire job', null, true, true, []]
+    ]]
+  ]);
+  assert.deepEqual(group.steps, ['Models', 'User model', 'Email index', 'Soft delete', 'Restore endpoint', 'Session model', 'Cleanup', 'Expire job']);
+  // Leaves: Email index, Restore endpoint (under checked User model), Session model, Expire job
+  assert.equal(group.done, 3);
+  assert.equal(group.total, 4);
+});
+
+test('checkbox lines inside fenced code blocks are ignored', () => {
+  const groups = parseFixture('fenced.md');
+  assert.equal(groups.length, 1);
+  assert.deepEqual(groups[0].steps, ['Add an example', 'Explain checkboxes']);
+  assert.equal(groups[0].total, 2);
+});
+
+test('checkbox state maps to a status per group', () => {
+  const groups = parseFixture('checkbox-state.md');
+  assert.deepEqual(groups.map(g => [g.title, g.done, g.total, openspec.taskGroupStatus(g)]), [
+    ['Done', 2, 2, 'ready-for-review'],
+    ['Started', 1, 2, 'in-dev'],
+    ['Not started', 0, 2, 'pending'],
+    ['Checked heading', 0, 0, 'ready-for-review'],
+    ['Parent checked', 2, 2, 'ready-for-review']
+  ]);
+  assert.equal(groups[3].checked, true);
+  assert.deepEqual(groups[3].notes, ['Notes only, no tasks.']);
+});
+
+test('top-level numbered items are groups in files without group headings', () => {
+  const groups = openspec.parseTaskGroups('1. [ ] Setup\n   - [x] a\n   - [ ] b\n2. Build\n   - [ ] c\n');
+  assert.deepEqual(groups.map(g => [g.number, g.title, g.checked, g.steps]), [
+    ['1', 'Setup', false, ['a', 'b']],
+    ['2', 'Build', null, ['c']]
+  ]);
+});
+
+test('CRLF line endings and sync-back comments do not change the result', () => {
+  const content = fs.readFileSync(path.join(__dirname, 'fixtures', 'tasks', 'heading-groups.md'), 'utf8');
+  const annotated = content.replace('## 2. Login UI', '## 2. Login UI <!-- framework: FEAT-002 in-dev -->');
+  assert.deepEqual(openspec.parseTaskGroups(annotated.replace(/\n/g, '\r\n')), parseFixture('heading-groups.md'));
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const prompts = require('../lib/prompts');
+
+const feature = { id: 'FEAT-001', description: 'Login', requirements: ['OAuth', 'Refresh'], notes: '' };
+
+function render(template, context) {
+  return prompts.render(template, Object.assign({ feature: feature }, context)).text;
+}
+
+test('variables resolve dotted paths and list unknown names as missing', () => {
+  const result = prompts.render('{{feature.id}}: {{feature.description}} ({{feature.owner}}{{role}})', { feature: feature });
+  assert.equal(result.text, 'FEAT-001: Login ()');
+  assert.deepEqual(result.missing, ['feature.owner', 'role']);
+  assert.equal(render('{{feature.requirements}}'), 'OAuth, Refresh');
+  assert.equal(render('{{review}}', { review: { open: 1 } }), '{\n  "open": 1\n}');
+});
+
+test('if, unless and else pick a branch on truthiness; empty lists are false', () => {
+  const template = '{{#if needs_revision}}fix{{else}}new{{/if}} {{#unless feature.notes}}no notes{{/unless}}';
+  assert.equal(render(template, { needs_revision: true }), 'fix no notes');
+  assert.equal(render(template, { needs_revision: false }), 'new no notes');
+  assert.equal(render('{{#if items}}some{{else}}none{{/if}}', { items: [] }), 'none');
+});
+
+test('each iterates with this, @index and @number, and falls back to else', () => {
+  assert.equal(render('{{#each feature.requirements}}{{@number}}/{{@index}} {{this}};{{/each}}'), '1/0 OAuth;2/1 Refresh;');
+  assert.equal(render('{{#each open}}{{file}}:{{line}} {{feature.id}};{{/each}}', { open: [{ file: 'a.js', line: 3 }] }), 'a.js:3 FEAT-001;');
+  assert.equal(render('{{#each open}}x{{else}}nothing open{{/each}}', { open: [] }), 'nothing open');
+});
+
+test('block tags and comments alone on their line leave no blank line', () => {
+  const template = [
+    'Start',
+    '{{! a comment }}',
+    '  {{#each feature.requirements}}',
+    '- {{this}}',
+    '  {{/each}}',
+    '{{#if missing}}',
+    'hidden',
+    '{{/if}}',
+    'End {{#if feature}}inline{{/if}}',
+    ''
+  ].join('\n');
+  assert.equal(render(template), 'Start\n- OAuth\n- Refresh\nEnd inline\n');
+  assert.equal(render('A\r\n{{#if feature}}\r\nB\r\n{{/if}}\r\nC'), 'A\r\nB\r\nC');
+});
+
+test('\\{{ renders a literal "{{" and is not a tag', () => {
+  assert.equal(render('\\{{feature.id}} {{feature.id}}'), '{{feature.id}} FEAT-001');
+  assert.equal(prompts.hasTags('Use \\{{name}} in templates'), false);
+  assert.equal(prompts.hasTags('{{name}}'), true);
+});
+
+test('syntax errors throw TEMPLATE_SYNTAX with the file and line', () => {
+  const cases = [
+    ['Line 1\n\n{{#if feature}}\nopen', 'dev.tmpl.md:3: {{#if feature}} is never closed'],
+    ['{{#if a}}\n{{/each}}', 'dev.tmpl.md:2: {{/each}} closes {{#if}} from line 1'],
+    ['x\n{{/if}}', 'dev.tmpl.md:2: {{/if}} without an opening {{#if}}'],
+    ['{{else}}', 'dev.tmpl.md:1: {{else}} outside a block'],
+    ['{{#if a}}{{else}}{{else}}{{/if}}', 'dev.tmpl.md:1: second {{else}} in {{#if}} from line 1'],
+    ['\n{{#with a}}{{/with}}', 'dev.tmpl.md:2: unknown block {{#with}}. Known: if, unless, each'],
+    ['{{a b}}', 'dev.tmpl.md:1: invalid tag {{a b}} (write \\{{ for a literal "{{")']
+  ];
+  for (const [template, message] of cases) {
+    assert.throws(() => prompts.render(template, {}, { name: 'dev.tmpl.md' }), { code: 'TEMPLATE_SYNTAX', message: message });
+    assert.equal(prompts.check(template, { name: 'dev.tmpl.md' }).message, message);
+  }
+  assert.equal(prompts.check('{{#if a}}ok{{/if}}'), null);
+});
+
+test('only *.tmpl.md files are templates', () => {
+  assert.equal(prompts.isTemplate('agent-prompts/dev.tmpl.md'), true);
+  assert.equal(prompts.isTemplate('agent-prompts/DEV.TMPL.MD'), true);
+  assert.equal(prompts.isTemplate('agent-prompts/dev-agent-prompt.md'), false);
+  assert.equal(prompts.isTemplate('agent-prompts/tmpl.md.bak'), false);
+});
+
+test('the default tasks render for every role', () => {
+  for (const role of Object.keys(prompts.TASKS)) {
+    const result = prompts.render(prompts.TASKS[role], { feature: feature, feature_json: '{}', cli: 'framework', needs_revision: false });
+    assert.match(result.text, /FEAT-001/, role);
+    assert.deepEqual(result.missing, [], role);
+  }
+});
+
+test('autoplay renders *.tmpl.md prompt files and sends other files as written', (t) => {
+  const db = require('../lib/db');
+  const features = require('../lib/features');
+  const autoplay = require('../lib/autoplay');
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'framework-prompts-'));
+  t.after(() => {
+    db.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  fs.writeFileSync(path.join(root, 'plain.md'), 'Plain {{feature.id}}\n');
+  fs.writeFileSync(path.join(root, 'dev.tmpl.md'), 'Template {{feature.id}}\n{{task}}\n');
+  db.open(root);
+  const f = features.create(root, { id: 'FEAT-001', description: 'Login' });
+  const config = autoplay.loadConfig(root);
+
+  config.agentSettings = { 'prompt.dev': 'plain.md' };
+  const plain = autoplay.renderAgentPrompt('dev', f, config);
+  assert.equal(plain.templated, false);
+  assert.match(plain.text, /^Plain \{\{feature\.id\}\}\n+=== YOUR TASK THIS SESSION ===\n\nYour assigned feature is FEAT-001/);
+  assert.deepEqual(autoplay.checkProject(config).warnings.map(w => w.path), ['plain.md']);
+
+  config.agentSettings = { 'prompt.dev': 'dev.tmpl.md' };
+  const templated = autoplay.renderAgentPrompt('dev', f, config);
+  assert.equal(templated.templated, true);
+  assert.match(templated.text, /^Template FEAT-001\nYour assigned feature is FEAT-001/);
+  assert.doesNotMatch(templated.text, /YOUR TASK THIS SESSION/);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const schemas = require('../lib/schemas');
+
+// Errors without positions: [pointer, message]
+function messages(result) {
+  return result.errors.map(e => [e.pointer, e.message]);
+}
+
+function checkFeatures(features) {
+  return schemas.check('feature-requirements.json', JSON.stringify({ features: features }, null, 2));
+}
+
+test('$ref definitions are followed, including nested ones', () => {
+  const result = checkFeatures([{ id: 'FEAT-001', description: 'Login', depends_on: ['FEAT-000', 7] }]);
+  assert.deepEqual(messages(result), [['/features/0/depends_on/1', 'expected string, got number']]);
+
+  const scenarios = checkFeatures([{ id: 'FEAT-001', description: 'Login', scenarios: [{ name: 'ok', given: 'a user' }] }]);
+  assert.deepEqual(messages(scenarios), [['/features/0/scenarios/0/given', 'expected array, got string']]);
+});
+
+test('enum values are checked', () => {
+  const result = checkFeatures([{ id: 'FEAT-001', description: 'Login', status: 'done' }]);
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.errors.map(e => e.pointer), ['/features/0/status']);
+  assert.match(result.errors[0].message, /^must be one of "pending", .*"complete", got "done"$/);
+  assert.equal(checkFeatures([{ id: 'FEAT-001', description: 'Login', status: 'qa-testing' }]).ok, true);
+});
+
+test('missing required properties are reported on the object that lacks them', () => {
+  assert.deepEqual(messages(schemas.check('feature-requirements.json', '{}')), [['', 'missing required property "features"']]);
+  assert.deepEqual(messages(checkFeatures([{ id: 'FEAT-001' }])), [['/features/0', 'missing required property "description"']]);
+});
+
+test('additionalProperties: false rejects unknown keys, a schema checks their values', () => {
+  const unknown = checkFeatures([{ id: 'FEAT-001', description: 'Login', scenarios: [{ name: 'ok', expect: 'x' }] }]);
+  assert.deepEqual(messages(unknown), [['/features/0/scenarios/0/expect', 'unknown property "expect"']]);
+
+  const overrides = checkFeatures([{ id: 'FEAT-001', description: 'Login', agent_overrides: { model: 'opus', max_turns: 20, retry: true } }]);
+  assert.deepEqual(messages(overrides), [['/features/0/agent_overrides/retry', 'expected string or integer, got boolean']]);
+
+  // Features don't set additionalProperties, so extra keys are fine
+  assert.equal(checkFeatures([{ id: 'FEAT-001', description: 'Login', owner: 'web' }]).ok, true);
+});
+
+test('errors carry the line and column of the offending value, sorted by position', () => {
+  const text = [
+    '{',
+    '  "features": [',
+    '    {',
+    '      "id": "FEAT-001",',
+    '      "description": "",',
+    '      "status": "done"',
+    '    },',
+    '    { "id": "FEAT-002" }',
+    '  ]',
+    '}'
+  ].join('\r\n');
+  const result = schemas.check('feature-requirements.json', text);
+  assert.deepEqual(result.errors.map(e => [e.line, e.column, e.pointer]), [
+    [5, 22, '/features/0/description'],
+    [6, 17, '/features/0/status'],
+    [8, 5, '/features/1']
+  ]);
+  assert.deepEqual(schemas.formatErrors('features.json', result.errors.slice(0, 1)), ['features.json:5:22 /features/0/description: must not be empty']);
+});
+
+test('syntax errors are reported with their position instead of thrown', () => {
+  const result = schemas.check('feature-requirements.json', '{\n  "features": [\n    { "id": "FEAT-001", }\n  ]\n}');
+  assert.equal(result.ok, false);
+  assert.equal(result.value, null);
+  assert.deepEqual(result.errors, [{ line: 3, column: 25, pointer: '', message: 'Expected a property name, got token "}"' }]);
+
+  assert.throws(() => schemas.parse('[1, 2'), { line: 1, column: 6, message: 'Expected "," or "]" in array, got end of file' });
+  assert.throws(() => schemas.parse('{"a": 1} x'), { message: 'Unexpected token "x" after the end of the document' });
+});
+
+test('parse() matches JSON.parse and records a position per pointer', () => {
+  const text = '{\n  "a/b": [true, null, -1.5e2, "x\\u0041"],\n  "c": {}\n}';
+  const parsed = schemas.parse(text);
+  assert.deepEqual(parsed.value, JSON.parse(text));
+  assert.deepEqual(parsed.positions.get('/a~1b/3'), { line: 2, column: 31 });
+  assert.deepEqual(parsed.positions.get('/c'), { line: 3, column: 8 });
+});
+
+test('the bundled and template architecture files pass their schemas', () => {
+  const root = path.join(__dirname, '..', '..');
+  const dirs = [path.join(__dirname, '..', 'templates', 'architecture'), path.join(root, 'template-files')];
+  for (const dir of dirs) {
+    for (const file of fs.readdirSync(dir).filter(f => schemas.SCHEMAS[f])) {
+      const result = schemas.checkFile(path.join(dir, file));
+      assert.deepEqual(schemas.formatErrors(file, result.errors), [], path.relative(root, path.join(dir, file)));
+    }
+  }
+});
@@ -0,0 +1,223 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../lib/db');
+const features = require('../lib/features');
+const sync = require('../lib/sync');
+
+// A project whose DB holds `dbFeatures`; with `fileFeatures`, the file holds those
+function setUp(t, dbFeatures, fileFeatures) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'framework-sync-'));
+  t.after(() => {
+    db.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  db.open(root);
+  for (const f of dbFeatures) features.create(root, f);
+  if (fileFeatures) writeFile(root, fileFeatures);
+  return root;
+}
+
+function writeFile(root, records) {
+  fs.mkdirSync(path.dirname(sync.filePath(root)), { recursive: true });
+  fs.writeFileSync(sync.filePath(root), JSON.stringify({ features: records }, null, 2));
+}
+
+function readFile(root) {
+  return JSON.parse(fs.readFileSync(sync.filePath(root), 'utf8')).features;
+}
+
+// Change file entries in place: edits maps an id to its new fields, or to null to delete it
+function editFile(root, edits) {
+  const records = readFile(root)
+    .filter(r => edits[r.id] !== null)
+    .map(r => Object.assign(r, edits[r.id]));
+  writeFile(root, records);
+}
+
+function changes(list) {
+  return list.map(c => c.id + ' ' + c.change);
+}
+
+// [id, field, base, db, file, resolved]
+function conflicts(result) {
+  return result.conflicts.map(c => [c.id, c.field, c.base, c.db, c.file, c.resolved]);
+}
+
+function field(root, id, name) {
+  return [features.get(root, id)[name], readFile(root).find(r => r.id === id)[name]];
+}
+
+const LOGIN = { id: 'FEAT-001', description: 'Login' };
+const LOGOUT = { id: 'FEAT-002', description: 'Logout' };
+
+test('first sync without a file writes it from the DB, then both sides agree', (t) => {
+  const root = setUp(t, [LOGIN, LOGOUT]);
+  const result = sync.sync(root);
+  assert.deepEqual(changes(result.toFile), ['FEAT-001 added', 'FEAT-002 added']);
+  assert.equal(result.written, true);
+  assert.deepEqual(readFile(root).map(r => r.description), ['Login', 'Logout']);
+
+  const again = sync.sync(root);
+  assert.deepEqual([again.toDb, again.toFile, again.conflicts, again.written], [[], [], [], false]);
+});
+
+test('first sync with a file and no base treats every difference as a conflict', (t) => {
+  const root = setUp(t, [LOGIN, { id: 'FEAT-003', description: 'Only in the DB' }], [
+    { id: 'FEAT-001', description: 'Sign in', notes: 'from the file' },
+    { id: 'FEAT-002', description: 'Only in the file' }
+  ]);
+  const result = sync.sync(root);
+  assert.deepEqual(conflicts(result), [
+    ['FEAT-001', 'description', undefined, 'Login', 'Sign in', null],
+    ['FEAT-001', 'notes', undefined, '', 'from the file', null]
+  ]);
+  // Features on one side only are not conflicts: they are added to the other
+  assert.deepEqual(changes(result.toDb), ['FEAT-002 added']);
+  assert.deepEqual(changes(result.toFile), ['FEAT-003 added']);
+  assert.deepEqual(field(root, 'FEAT-001', 'description'), ['Login', 'Sign in']);
+  assert.deepEqual(readFile(root).map(r => r.id), ['FEAT-001', 'FEAT-002', 'FEAT-003']);
+
+  // Still conflicts on the next run: the unresolved fields have no base yet
+  assert.deepEqual(conflicts(sync.sync(root)).map(c => c[1]), ['description', 'notes']);
+
+  const resolved = sync.sync(root, { prefer: 'file' });
+  assert.deepEqual(conflicts(resolved).map(c => c[5]), ['file', 'file']);
+  assert.deepEqual(field(root, 'FEAT-001', 'description'), ['Sign in', 'Sign in']);
+  assert.deepEqual(field(root, 'FEAT-001', 'notes'), ['from the file', 'from the file']);
+  assert.deepEqual(sync.sync(root).conflicts, []);
+});
+
+test('a field changed on one side only is copied to the other', (t) => {
+  const root = setUp(t, [LOGIN, LOGOUT]);
+  sync.sync(root);
+
+  features.update(root, 'FEAT-001', { description: 'Login with OAuth' });
+  editFile(root, { 'FEAT-001': { notes: 'Spec in docs/login.md' }, 'FEAT-002': { requirements: ['Clear the session'] } });
+
+  const result = sync.sync(root);
+  assert.deepEqual(result.conflicts, []);
+  assert.deepEqual(changes(result.toDb), ['FEAT-001 updated', 'FEAT-002 updated']);
+  assert.deepEqual(changes(result.toFile), ['FEAT-001 updated']);
+  assert.deepEqual(field(root, 'FEAT-001', 'description'), ['Login with OAuth', 'Login with OAuth']);
+  assert.deepEqual(field(root, 'FEAT-001', 'notes'), ['Spec in docs/login.md', 'Spec in docs/login.md']);
+  assert.deepEqual(field(root, 'FEAT-002', 'requirements'), [['Clear the session'], ['Clear the session']]);
+
+  const again = sync.sync(root);
+  assert.deepEqual([again.toDb, again.toFile, again.written], [[], [], false]);
+});
+
+test('status and passes merge as one value', (t) => {
+  const root = setUp(t, [LOGIN]);
+  sync.sync(root);
+  editFile(root, { 'FEAT-001': { status: 'complete', passes: true } });
+
+  const result = sync.sync(root);
+  assert.deepEqual(result.conflicts, []);
+  assert.deepEqual(result.toDb, [{ id: 'FEAT-001', change: 'updated' }]);
+  assert.deepEqual(field(root, 'FEAT-001', 'status'), ['complete', 'complete']);
+  assert.deepEqual(field(root, 'FEAT-001', 'passes'), [true, true]);
+});
+
+test('a field changed differently on both sides is a conflict until prefer resolves it', (t) => {
+  const root = setUp(t, [LOGIN]);
+  sync.sync(root);
+  features.update(root, 'FEAT-001', { description: 'Login (DB)', notes: 'DB note' });
+  editFile(root, { 'FEAT-001': { description: 'Login (file)', category: 'auth' } });
+
+  const result = sync.sync(root);
+  assert.deepEqual(conflicts(result), [['FEAT-001', 'description', 'Login', 'Login (DB)', 'Login (file)', null]]);
+  // The other fields still merge; the conflict leaves each side with its own value
+  assert.deepEqual(field(root, 'FEAT-001', 'description'), ['Login (DB)', 'Login (file)']);
+  assert.deepEqual(field(root, 'FEAT-001', 'notes'), ['DB note', 'DB note']);
+  assert.deepEqual(field(root, 'FEAT-001', 'category'), ['auth', 'auth']);
+
+  // The last agreed base is kept for the unresolved field
+  assert.deepEqual(conflicts(sync.sync(root)), [['FEAT-001', 'description', 'Login', 'Login (DB)', 'Login (file)', null]]);
+
+  const dryRun = sync.sync(root, { prefer: 'db', dryRun: true });
+  assert.deepEqual(conflicts(dryRun).map(c => c[5]), ['db']);
+  assert.deepEqual(changes(dryRun.toFile), ['FEAT-001 updated']);
+  assert.deepEqual(field(root, 'FEAT-001', 'description'), ['Login (DB)', 'Login (file)']);
+
+  sync.sync(root, { prefer: 'db' });
+  assert.deepEqual(field(root, 'FEAT-001', 'description'), ['Login (DB)', 'Login (DB)']);
+  assert.deepEqual(sync.sync(root).conflicts, []);
+});
+
+test('prefer file resolves a conflict with the file value', (t) => {
+  const root = setUp(t, [LOGIN]);
+  sync.sync(root);
+  features.update(root, 'FEAT-001', { description: 'Login (DB)' });
+  editFile(root, { 'FEAT-001': { description: 'Login (file)' } });
+
+  const result = sync.sync(root, { prefer: 'file' });
+  assert.deepEqual(conflicts(result), [['FEAT-001', 'description', 'Login', 'Login (DB)', 'Login (file)', 'file']]);
+  assert.deepEqual(changes(result.toDb), ['FEAT-001 updated']);
+  assert.deepEqual(field(root, 'FEAT-001', 'description'), ['Login (file)', 'Login (file)']);
+});
+
+test('prefer must name a side', (t) => {
+  const root = setUp(t, [LOGIN]);
+  assert.deepEqual(sync.sync(root, { prefer: 'both' }), { ok: false, error: 'prefer must be db or file, got "both".' });
+  assert.equal(fs.existsSync(sync.filePath(root)), false);
+});
+
+test('a feature deleted on one side and unchanged on the other is deleted on both', (t) => {
+  const root = setUp(t, [LOGIN, LOGOUT, { id: 'FEAT-003', description: 'Profile' }]);
+  sync.sync(root);
+  features.remove(root, 'FEAT-002');
+  editFile(root, { 'FEAT-003': null });
+
+  const result = sync.sync(root);
+  assert.deepEqual(result.conflicts, []);
+  assert.deepEqual(changes(result.toDb), ['FEAT-003 deleted']);
+  assert.deepEqual(changes(result.toFile), ['FEAT-002 deleted']);
+  assert.deepEqual(features.list(root).map(f => f.id), ['FEAT-001']);
+  assert.deepEqual(readFile(root).map(r => r.id), ['FEAT-001']);
+
+  // The deleted features leave the base too, so re-adding one is a plain add
+  features.create(root, { id: 'FEAT-002', description: 'Logout again' });
+  assert.deepEqual(changes(sync.sync(root).toFile), ['FEAT-002 added']);
+});
+
+test('a feature deleted on one side and edited on the other is a conflict', (t) => {
+  const root = setUp(t, [LOGIN, LOGOUT]);
+  sync.sync(root);
+  features.update(root, 'FEAT-001', { notes: 'still needed' });
+  editFile(root, { 'FEAT-001': null });
+  features.remove(root, 'FEAT-002');
+  editFile(root, { 'FEAT-002': { description: 'Logout everywhere' } });
+
+  const result = sync.sync(root);
+  assert.deepEqual(result.conflicts.map(c => [c.id, c.field, c.resolved]), [
+    ['FEAT-002', '(deleted in db)', null],
+    ['FEAT-001', '(deleted in file)', null]
+  ]);
+  assert.deepEqual([result.toDb, result.toFile], [[], []]);
+  assert.deepEqual(features.list(root).map(f => f.id), ['FEAT-001']);
+  assert.deepEqual(readFile(root).map(r => r.id), ['FEAT-002']);
+  // Each side keeps its base until the conflict is resolved
+  assert.equal(sync.sync(root).conflicts.length, 2);
+});
+
+test('prefer resolves a delete conflict by deleting or restoring the feature', (t) => {
+  const root = setUp(t, [LOGIN, LOGOUT]);
+  sync.sync(root);
+  features.update(root, 'FEAT-001', { notes: 'still needed' });
+  editFile(root, { 'FEAT-001': null });
+
+  const restored = sync.sync(root, { prefer: 'db' });
+  assert.deepEqual(changes(restored.toFile), ['FEAT-001 added']);
+  assert.deepEqual(readFile(root).map(r => [r.id, r.notes]), [['FEAT-002', ''], ['FEAT-001', 'still needed']]);
+  assert.deepEqual(sync.sync(root).conflicts, []);
+
+  features.update(root, 'FEAT-002', { notes: 'edited' });
+  editFile(root, { 'FEAT-002': null });
+  const deleted = sync.sync(root, { prefer: 'file' });
+  assert.deepEqual(changes(deleted.toDb), ['FEAT-002 deleted']);
+  assert.deepEqual(features.list(root).map(f => f.id), ['FEAT-001']);
+  assert.deepEqual(sync.sync(root).conflicts, []);
+});